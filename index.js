@@ -4,7 +4,26 @@ import dotenv from 'dotenv';
 import cors from 'cors';
 import cookieParser from 'cookie-parser';
 import authRoutes from './routes/auth.js';
-import axios from 'axios';
+import alertRoutes from './routes/alerts.js';
+import reorderRoutes from './routes/reorder.js';
+import analyticsRoutes from './routes/analytics.js';
+import importExportRoutes from './routes/importExport.js';
+import chatRoutes from './routes/chat.js';
+import workspaceRoutes from './routes/workspaces.js';
+import barcodeRoutes from './routes/barcode.js';
+import locationRoutes from './routes/locations.js';
+import supplierRoutes from './routes/suppliers.js';
+import shoppingListRoutes from './routes/shoppingList.js';
+import { requireAuth } from './middleware/auth.js';
+import { requireWorkspaceRole } from './middleware/workspace.js';
+import { receiveStock, useStock, consumeStock, getLedger, toBaseQty, transferStock, StockError } from './services/stock.js';
+import { findLocation } from './services/location.js';
+import { validate } from './middleware/validate.js';
+import { findBarcodeConflict, hasDuplicatePackNames, packView } from './services/product.js';
+import { normalizeBarcode } from './utils/barcode.js';
+import { canonicalUnit, convertQty, roundQty } from './utils/units.js';
+import { DISCARD_REASONS } from './utils/validation.js';
+import { startExpiryAlertJob, stopExpiryAlertJob } from './jobs/expiryAlerts.js';
 
 dotenv.config();
 
@@ -17,6 +36,11 @@ const MONGO_URI = process.env.MONGODB_URI;
 
 const app = express();
 
+// Behind a proxy such as Render's, set TRUST_PROXY=1 so req.ip (used for rate limits) is the client's address
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', isNaN(process.env.TRUST_PROXY) ? process.env.TRUST_PROXY : Number(process.env.TRUST_PROXY));
+}
+
 app.use(cors({
     origin: [
       "http://localhost:5173",
@@ -25,15 +49,48 @@ app.use(cors({
     ].filter(Boolean),
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'Accept']
+    allowedHeaders: ['Content-Type', 'Authorization', 'Accept'],
+    exposedHeaders: ['Content-Disposition']
 }));
 
-app.use(express.json());
 app.use(cookieParser());
 
+// Bulk CSV/JSON import and export (/:id/import, /:id/export). Import parses its own bodies up to
+// 2mb, so it is mounted before the default 100kb JSON parser
+app.use(importExportRoutes);
+
+app.use(express.json());
+
 // Mount auth routes
 app.use('/auth', authRoutes);
 
+// AI chat and conversation history (/chat/ai, /chat/conversations)
+app.use('/chat', chatRoutes);
+
+// Workspaces, members and invitations (/workspaces, /invitations)
+app.use(workspaceRoutes);
+
+// Expiry report and alerts (/:id/expiring, /:id/alerts)
+app.use(alertRoutes);
+
+// Low-stock reorder suggestions (/:id/reorder)
+app.use(reorderRoutes);
+
+// Consumption analytics (/:id/analytics/*)
+app.use(analyticsRoutes);
+
+// Barcode lookup and scan-to-stock (/:id/product/barcode/:barcode, /:id/scan)
+app.use(barcodeRoutes);
+
+// Storage locations (/:id/locations)
+app.use(locationRoutes);
+
+// Suppliers (/:id/suppliers)
+app.use(supplierRoutes);
+
+// Shopping list filled from reorder needs (/:id/shopping-list)
+app.use(shoppingListRoutes);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.status(200).json({ 
@@ -59,454 +116,547 @@ app.get('/', (req, res) => {
 
 // Connect to MongoDB
 mongoose.connect(MONGO_URI)
-    .then(() => console.log('MongoDB connected successfully'))
+    .then(() => {
+        console.log('MongoDB connected successfully');
+        startExpiryAlertJob();
+    })
     .catch(err => {
         console.error('MongoDB connection error:', err);
         process.exit(1);
     });
 
-// AI Chat endpoint
-app.post("/chat/ai", async (req, res) => {
+// Request schemas for the inventory routes (rule format in utils/schema.js)
+const objectIdField = { type: 'string', format: 'objectId' };
+const dateField = { type: 'string', format: 'date' };
+const positiveQty = { type: 'numeric', exclusiveMinimum: 0 };
+const threshold = { type: 'numeric', minimum: 0 };
+const unitField = { type: 'string', format: 'unit' };
+
+const PRODUCT_PARAMS = { properties: { productId: objectIdField } };
+const BATCH_PARAMS = { properties: { productId: objectIdField, stockId: objectIdField } };
+const productFields = {
+    name: { type: 'string', minLength: 1, maxLength: 200 },
+    description: { type: 'string', minLength: 1, maxLength: 1000 },
+    measure: unitField,
+    barcode: { type: 'string', format: 'barcode' },
+    packs: {
+        type: 'array',
+        items: {
+            type: 'object',
+            required: ['name', 'size'],
+            properties: { name: { type: 'string', minLength: 1, maxLength: 50 }, size: positiveQty }
+        }
+    },
+    minQty: threshold,
+    reorderQty: threshold
+};
+const PRODUCT_BODY = { required: ['name', 'description', 'measure'], properties: productFields };
+const PRODUCT_UPDATE_BODY = { properties: productFields };
+// Stock is added as qty (in unit) or as a count of one of the product's packs
+const STOCK_ADD_BODY = {
+    required: ['expiryDate'],
+    properties: {
+        expiryDate: dateField,
+        qty: positiveQty,
+        unit: unitField,
+        packs: positiveQty,
+        pack: { type: 'string', minLength: 1 },
+        locationId: objectIdField,
+        unitCost: threshold,
+        supplierId: objectIdField
+    }
+};
+const STOCK_USE_BODY = { required: ['usedQty', 'stockId'], properties: { usedQty: positiveQty, stockId: objectIdField, unit: unitField } };
+const EXPIRY_BODY = { required: ['expiryDate'], properties: { expiryDate: dateField, reason: { type: 'string' } } };
+const ADJUST_BODY = { required: ['delta', 'reason'], properties: { delta: { type: 'numeric' }, reason: { type: 'string', minLength: 1 } } };
+const DISCARD_BODY = {
+    required: ['qty', 'stockId', 'reason'],
+    properties: { qty: positiveQty, stockId: objectIdField, reason: { type: 'string', enum: DISCARD_REASONS }, note: { type: 'string', maxLength: 500 } }
+};
+const CONSUME_BODY = { required: ['qty'], properties: { qty: positiveQty, skipExpired: { type: 'boolean' } } };
+// toLocationId is a location id, or 'none' to take the batch out of any location
+const TRANSFER_BODY = { required: ['toLocationId'], properties: { toLocationId: { type: 'string', minLength: 1 }, qty: positiveQty } };
+
+// Product routes
+app.post("/:id/product/add", requireAuth, requireWorkspaceRole('editor'), validate({ body: PRODUCT_BODY }), async (req, res) => {
+    const { id } = req.params;
+    const { name, description, measure, minQty, reorderQty, barcode, packs } = req.body;
+    
     try {
-        const { message, userId, productId } = req.body;
-        
-        // Validate required fields
-        if (!message) {
-            return res.status(400).json({ reply: "Message is required" });
+        if (hasDuplicatePackNames(packs)) {
+            return res.status(400).json({ error: 'Pack names must be unique' });
         }
-        
-        if (!userId) {
-            return res.status(400).json({ reply: "User ID is required" });
+
+        const newProduct = {
+            name,
+            description,
+            measure,
+            minQty: minQty ?? undefined,
+            reorderQty: reorderQty ?? undefined,
+            barcode: barcode ? normalizeBarcode(barcode) : undefined,
+            packs: packs ?? undefined
+        };
+        const exist = await Product.findOne({ workspaceId: id });
+        if (!exist) {
+            const created = await Product.create({ workspaceId: id, allProducts: [newProduct] });
+            return res.status(201).json({ message: "Product added successfully", product: created.allProducts[0] });
         }
-        
-        const apiKey = process.env.GEMINI_API_KEY;
-        if (!apiKey) {
-            console.error('GEMINI_API_KEY not configured');
-            return res.status(500).json({ reply: "AI service not configured" });
-        }
-
-        const prompt = productId
-            ? `You are a Restocker AI inventory assistant. Your job is to help users manage their inventory by detecting if they want to:
-1. Add stock for an existing product
-2. Add a new product to their inventory
-3. Just have a conversation
-
-CRITICAL: You MUST respond with ONLY valid JSON. No explanations, no additional text.
-
-IMPORTANT RULES:
-- For adding stock: respond with {"intent":"add_stock","data":[{"expiryDate":"YYYY-MM-DD","qty":number}]}
-- For adding products: respond with {"intent":"add_product","data":[{"name":"product name","description":"detailed description","measure":"kg|g|l|ml|liter|Liter|pcs|box|bag|bottle|can|pack|piece|other"}]}
-- For regular chat: respond with {"intent":"chat","reply":"your response"}
-- ONLY respond with valid JSON, no other text
-- For products, measure must be one of: kg, g, l, ml, liter, Liter, pcs, box, bag, bottle, can, pack, piece, other
-- Use double quotes for all strings
-- No trailing commas
-- Ensure all JSON is properly formatted
-
-User message: ${message}`
-            : `You are a Restocker AI inventory assistant. Your job is to help users manage their inventory by detecting if they want to add new products to their inventory.
-
-CRITICAL: You MUST respond with ONLY valid JSON. No explanations, no additional text.
-
-IMPORTANT RULES:
-- If user wants to add products: respond with {"intent":"add_product","data":[{"name":"product name","description":"detailed description","measure":"kg|g|l|ml|liter|Liter|pcs|box|bag|bottle|can|pack|piece|other"}]}
-- If just chatting: respond with {"intent":"chat","reply":"your response"}
-- ONLY respond with valid JSON, no other text
-- For products, measure must be one of: kg, g, l, ml, liter, Liter, pcs, box, bag, bottle, can, pack, piece, other
-- Use double quotes for all strings
-- No trailing commas
-- Ensure all JSON is properly formatted
-
-User message: ${message}`;
 
+        const conflict = barcode && findBarcodeConflict(exist.allProducts, barcode);
+        if (conflict) {
+            return res.status(409).json({ error: `Barcode already belongs to "${conflict.name}"`, productId: conflict._id });
+        }
         
-            const response = await axios.post(
-                `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`,
-                          {
-                contents: [{ parts: [{ text: prompt }] }],
-                generationConfig: {
-                    temperature: 0.1,
-                    maxOutputTokens: 500
-                }
-            }
-        ).catch(apiError => {
-            // Handle specific API errors
-            if (apiError.response?.status === 404) {
-                console.error('Gemini API: Model not found. Check if the model name is correct and the API key has access.');
-                throw new Error('AI service temporarily unavailable. Please try again later.');
-            }
-            if (apiError.response?.status === 403) {
-                console.error('Gemini API: Access forbidden. Check API key permissions.');
-                throw new Error('AI service access denied. Please contact support.');
-            }
-            throw apiError;
-        });
+        exist.allProducts.push(newProduct);
+        await exist.save();
+        res.status(200).json({ message: "Product added successfully", product: exist.allProducts[exist.allProducts.length - 1] });
+    } catch (error) {
+        console.error('Error adding product:', error);
+        res.status(500).json({ error: 'Failed to add product' });
+    }
+});
 
-        let aiText = response.data?.candidates?.[0]?.content?.parts?.[0]?.text || "";
-        
-        if (!aiText) {
-            return res.json({ reply: "I couldn't generate a response. Please try again." });
+app.put("/:id/product/:productId", requireAuth, requireWorkspaceRole('editor'), validate({ params: PRODUCT_PARAMS, body: PRODUCT_UPDATE_BODY }), async (req, res) => {
+    const { id, productId } = req.params;
+    const { name, description, measure, minQty, reorderQty, barcode, packs } = req.body;
+
+    try {
+        if ([name, description, measure, minQty, reorderQty, barcode, packs].every(value => value === undefined)) {
+            return res.status(400).json({ error: 'Provide at least one of name, description, measure, minQty, reorderQty, barcode or packs' });
         }
-        
-        aiText = aiText.replace(/```json|```/g, "").trim();
-
-        let aiData;
-        try {
-            aiData = JSON.parse(aiText);
-        } catch (parseError) {
-            console.error('JSON Parse Error:', parseError);
-            console.error('Failed to parse AI text:', aiText);
-            
-            // Try multiple JSON extraction strategies
-            let jsonText = aiText;
-            
-            // Remove any markdown code blocks
-            jsonText = jsonText.replace(/```json\s*/g, '').replace(/```\s*/g, '');
-            
-            // Try to find JSON object in the text
-            const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                try {
-                    aiData = JSON.parse(jsonMatch[0]);
-                } catch (secondParseError) {
-                    console.error('Second parse attempt failed:', secondParseError);
-                    console.error('Attempted to parse:', jsonMatch[0]);
-                    
-                    // Try to clean up common issues
-                    let cleanedJson = jsonMatch[0]
-                        .replace(/,\s*}/g, '}')  // Remove trailing commas
-                        .replace(/,\s*]/g, ']')  // Remove trailing commas in arrays
-                        .replace(/'/g, '"');     // Replace single quotes with double quotes
-                    
-                    try {
-                        aiData = JSON.parse(cleanedJson);
-                    } catch (thirdParseError) {
-                        console.error('Third parse attempt failed:', thirdParseError);
-                        return res.json({ 
-                            reply: "I had trouble understanding your request. Please try rephrasing it or be more specific about what you want to add.",
-                            error: process.env.NODE_ENV === 'development' ? `Parse error: ${thirdParseError.message}` : undefined
-                        });
-                    }
-                }
-            } else {
-                return res.json({ 
-                    reply: "I had trouble understanding your request. Please try rephrasing it or be more specific about what you want to add.",
-                    error: process.env.NODE_ENV === 'development' ? `No JSON found in response: ${aiText}` : undefined
-                });
-            }
+        if (hasDuplicatePackNames(packs)) {
+            return res.status(400).json({ error: 'Pack names must be unique' });
         }
 
-        // Validate the AI response structure
-        if (!aiData || typeof aiData !== 'object' || !aiData.intent) {
-            console.error('Invalid AI response structure:', aiData);
-            return res.json({ 
-                reply: "I had trouble processing your request. Please try rephrasing it.",
-                error: process.env.NODE_ENV === 'development' ? 'Invalid response structure' : undefined
-            });
+        if (name === null || description === null || measure === null) {
+            return res.status(400).json({ error: 'Name, description and measure cannot be cleared' });
         }
 
-        if (productId) {
-            if (aiData.intent === "add_stock") {
-                try {
-                    const stockEntries = aiData.data;
-                    if (!stockEntries || !Array.isArray(stockEntries)) {
-                        return res.json({ reply: "Invalid stock data format." });
-                    }
-                    
-                    // Validate stock entries
-                    for (let i = 0; i < stockEntries.length; i++) {
-                        const entry = stockEntries[i];
-                        if (!entry.expiryDate || !entry.qty || isNaN(entry.qty) || entry.qty <= 0) {
-                            return res.json({ reply: `Stock entry ${i + 1} is invalid. Please provide valid expiry date and quantity.` });
-                        }
-                    }
-                    
-                    let stockDoc = await Stock.findOne({ userId, productId });
-
-                    if (!stockDoc) {
-                        stockDoc = await Stock.create({ userId, productId, stockDetail: stockEntries });
-                        return res.json({ reply: `✅ ${stockEntries.length} stock entry(ies) added successfully.` });
-                    }
-
-                    stockDoc.stockDetail.push(...stockEntries);
-                    await stockDoc.save();
-                    return res.json({ reply: `✅ ${stockEntries.length} stock entry(ies) added successfully.` });
-                } catch (dbError) {
-                    console.error('Database error in add_stock:', dbError);
-                    return res.json({ reply: "Failed to add stock. Please try again." });
-                }
-            }
+        const product = await Product.findOne({ workspaceId: id });
+        const item = product?.allProducts.id(productId);
+        if (!item) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
 
-            if (aiData.intent === "add_product") {
-                try {
-                    const products = aiData.data;
-                    
-                    if (!products || !Array.isArray(products)) {
-                        return res.json({ reply: "Invalid product data format." });
-                    }
-                    
-                    // Validate each product has required fields and correct measure
-                    const validMeasures = ['kg', 'g', 'l', 'ml', 'liter', 'Liter', 'pcs', 'box', 'bag', 'bottle', 'can', 'pack', 'piece', 'other'];
-                    for (let i = 0; i < products.length; i++) {
-                        const product = products[i];
-                        if (!product.name || !product.description || !product.measure) {
-                            return res.json({ reply: `Product ${i + 1} is missing required fields (name, description, measure).` });
-                        }
-                        if (!validMeasures.includes(product.measure)) {
-                            return res.json({ reply: `Product ${i + 1} has invalid measure. Must be one of: ${validMeasures.join(', ')}` });
-                        }
-                    }
-                    
-                    let exist = await Product.findOne({ userId });
-
-                    if (!exist) {
-                        const product = await Product.create({ userId, allProducts: products });
-                        return res.json({ reply: `✅ ${products.length} product(s) added successfully.` });
-                    }
-
-                    exist.allProducts.push(...products);
-                    await exist.save();
-                    return res.json({ reply: `✅ ${products.length} product(s) added successfully.` });
-                } catch (dbError) {
-                    console.error('Database error in add_product:', dbError);
-                    return res.json({ reply: "Failed to add product. Please try again." });
-                }
-            }
+        const conflict = barcode && findBarcodeConflict(product.allProducts, barcode, item._id);
+        if (conflict) {
+            return res.status(409).json({ error: `Barcode already belongs to "${conflict.name}"`, productId: conflict._id });
+        }
 
-            if (aiData.intent === "chat") {
-                return res.json({ reply: aiData.reply });
+        // Batch quantities, costs, packs and the ledger are all in the base unit, so it only
+        // changes within a dimension and before any of those exist; thresholds are converted
+        const newMeasure = measure === undefined ? item.measure : canonicalUnit(measure);
+        if (newMeasure !== item.measure) {
+            if (convertQty(1, item.measure, newMeasure) === null) {
+                return res.status(400).json({ error: `Measure cannot change from ${item.measure} to ${newMeasure}` });
             }
-
-            return res.json({ reply: "I didn't understand your request." });
-        }
-
-        if (aiData.intent === "add_product") {
-            try {
-                const products = aiData.data;
-                
-                if (!products || !Array.isArray(products)) {
-                    return res.json({ reply: "Invalid product data format." });
-                }
-                
-                // Validate each product has required fields and correct measure
-                const validMeasures = ['kg', 'g', 'l', 'ml', 'liter', 'Liter', 'pcs', 'box', 'bag', 'bottle', 'can', 'pack', 'piece', 'other'];
-                for (let i = 0; i < products.length; i++) {
-                    const product = products[i];
-                    if (!product.name || !product.description || !product.measure) {
-                        return res.json({ reply: `Product ${i + 1} is missing required fields (name, description, measure).` });
-                    }
-                    if (!validMeasures.includes(product.measure)) {
-                        return res.json({ reply: `Product ${i + 1} has invalid measure. Must be one of: ${validMeasures.join(', ')}` });
-                    }
-                }
-                
-                let exist = await Product.findOne({ userId });
-
-                if (!exist) {
-                    const product = await Product.create({ userId, allProducts: products });
-                    return res.json({ reply: `✅ ${products.length} product(s) added successfully.` });
-                }
-
-                exist.allProducts.push(...products);
-                await exist.save();
-                return res.json({ reply: `✅ ${products.length} product(s) added successfully.` });
-            } catch (dbError) {
-                console.error('Database error in add_product:', dbError);
-                return res.json({ reply: "Failed to add product. Please try again." });
+            const hasStock = await Stock.exists({ workspaceId: id, productId, 'stockDetail.0': { $exists: true } });
+            if (hasStock || (packs === undefined && item.packs.length > 0)) {
+                return res.status(409).json({ error: 'Measure cannot change once the product has stock or packs' });
             }
+            if (minQty === undefined && item.minQty != null) item.minQty = convertQty(item.minQty, item.measure, newMeasure);
+            if (reorderQty === undefined && item.reorderQty != null) item.reorderQty = convertQty(item.reorderQty, item.measure, newMeasure);
+            item.measure = newMeasure;
         }
 
-        if (aiData.intent === "add_stock") {
-            return res.json({ reply: "Please open the product page to add stock." });
-        }
+        if (name !== undefined) item.name = name;
+        if (description !== undefined) item.description = description;
+        if (minQty !== undefined) item.minQty = minQty === null ? undefined : Number(minQty);
+        if (reorderQty !== undefined) item.reorderQty = reorderQty === null ? undefined : Number(reorderQty);
+        if (barcode !== undefined) item.barcode = barcode === null ? undefined : normalizeBarcode(barcode);
+        if (packs !== undefined) item.packs = packs ?? [];
 
-        if (aiData.intent === "chat") {
-            return res.json({ reply: aiData.reply });
-        }
+        await product.save();
+        res.status(200).json({ message: "Product updated successfully", product: item });
+    } catch (error) {
+        console.error('Error updating product:', error);
+        res.status(500).json({ error: 'Failed to update product' });
+    }
+});
 
-        res.json({ reply: "I didn't understand your request." });
+// Soft-archive: hides the product from /product and /instock but keeps its stock history
+const setArchived = (archived) => async (req, res) => {
+    const { id, productId } = req.params;
 
+    try {
+        const product = await Product.findOne({ workspaceId: id });
+        const item = product?.allProducts.id(productId);
+        if (!item) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        item.archived = archived;
+        await product.save();
+        res.status(200).json({ message: archived ? "Product archived" : "Product restored", product: item });
     } catch (error) {
-        console.error("Chat AI Error:", error.message);
-        console.error("Error details:", {
-            message: error.message,
-            status: error.response?.status,
-            statusText: error.response?.statusText,
-            // Don't log full response to avoid exposing sensitive data
-            hasResponse: !!error.response,
-            hasData: !!error.response?.data
-        });
-        
-        // Return a user-friendly error message
-        res.status(500).json({ 
-            reply: "Sorry, I encountered an error. Please try again later.",
-            error: process.env.NODE_ENV === 'development' ? error.message : undefined
-        });
+        console.error('Error archiving product:', error);
+        res.status(500).json({ error: 'Failed to update product' });
     }
-});
+};
+
+app.post("/:id/product/:productId/archive", requireAuth, requireWorkspaceRole('editor'), validate({ params: PRODUCT_PARAMS }), setArchived(true));
+app.post("/:id/product/:productId/unarchive", requireAuth, requireWorkspaceRole('editor'), validate({ params: PRODUCT_PARAMS }), setArchived(false));
+
+// Deleting refuses while any batch still has quantity, unless ?cascade=true
+app.delete("/:id/product/:productId", requireAuth, requireWorkspaceRole('editor'), validate({ params: PRODUCT_PARAMS }), async (req, res) => {
+    const { id, productId } = req.params;
+    const cascade = req.query.cascade === 'true';
 
-// Product routes
-app.post("/:id/product/add", async (req, res) => {
-    const { id } = req.params;
-    const { name, description, measure } = req.body;
-    
     try {
-        // Validate required fields
-        if (!name || !description || !measure) {
-            return res.status(400).json({ error: 'Name, description, and measure are required' });
+        const product = await Product.findOne({ workspaceId: id });
+        const item = product?.allProducts.id(productId);
+        if (!item) {
+            return res.status(404).json({ error: 'Product not found' });
         }
 
-        // Validate measure is valid
-        const validMeasures = ['kg', 'g', 'l', 'ml', 'liter', 'Liter', 'pcs', 'box', 'bag', 'bottle', 'can', 'pack', 'piece', 'other'];
-        if (!validMeasures.includes(measure)) {
-            return res.status(400).json({ error: `Invalid measure. Must be one of: ${validMeasures.join(', ')}` });
+        const stock = await Stock.findOne({ workspaceId: id, productId });
+        const remaining = stock ? roundQty(stock.stockDetail.reduce((sum, batch) => sum + batch.qty, 0)) : 0;
+
+        if (remaining > 0 && !cascade) {
+            return res.status(409).json({
+                error: 'Product still has stock. Use it up, or delete with ?cascade=true to remove its stock too.',
+                remainingQty: remaining
+            });
         }
 
-        const exist = await Product.findOne({ userId: id });
-        if (!exist) {
-            await Product.create({ userId: id, allProducts: [{ name, description, measure }] });
-            return res.status(201).json({ message: "Product added successfully" });
+        if (stock) {
+            await Stock.deleteOne({ _id: stock._id });
         }
-        
-        exist.allProducts.push({ name, description, measure });
-        await exist.save();
-        res.status(200).json({ message: "Product added successfully" });
+
+        item.deleteOne();
+        await product.save();
+        res.status(200).json({ message: "Product deleted successfully", stockDeleted: !!stock });
     } catch (error) {
-        console.error('Error adding product:', error);
-        res.status(500).json({ error: 'Failed to add product' });
+        console.error('Error deleting product:', error);
+        res.status(500).json({ error: 'Failed to delete product' });
     }
 });
 
 // Stock routes
-app.get("/:id/product/:productId/stock", async (req, res) => {
+app.get("/:id/product/:productId/stock", requireAuth, requireWorkspaceRole('viewer'), async (req, res) => {
     const { id, productId } = req.params;
     
     try {
-        const stock = await Stock.findOne({ userId: id, productId });
+        const stock = await Stock.findOne({ workspaceId: id, productId });
         if (!stock) {
             return res.status(200).json([]); // Return empty array instead of 404
         }
-        res.status(200).json(stock.stockDetail || []);
+        res.status(200).json((stock.stockDetail || []).filter(item => !item.deletedAt));
     } catch (error) {
         console.error('Error fetching stock:', error);
         res.status(500).json({ error: 'Failed to fetch stock data' });
     }
 });
 
-app.post("/:id/product/:productId/stock/add", async (req, res) => {
+app.post("/:id/product/:productId/stock/add", requireAuth, requireWorkspaceRole('editor'), validate({ params: PRODUCT_PARAMS, body: STOCK_ADD_BODY }), async (req, res) => {
+    const { id, productId } = req.params;
+    const { expiryDate, qty, unit, packs, pack, locationId, unitCost, supplierId } = req.body;
+    
+    try {
+        const { created, product, qty: baseQty, unitCost: baseUnitCost } = await receiveStock({
+            workspaceId: id,
+            productId,
+            expiryDate,
+            qty,
+            unit,
+            packs,
+            pack,
+            locationId,
+            unitCost,
+            supplierId,
+            by: req.userId
+        });
+        res.status(created ? 201 : 200).json({
+            message: "Stock added successfully",
+            qty: baseQty,
+            unit: product.measure,
+            unitCost: baseUnitCost,
+            inPacks: packView(product, baseQty)
+        });
+    } catch (error) {
+        if (error instanceof StockError) {
+            return res.status(error.status).json({ message: error.message, ...error.details });
+        }
+        console.error('Error adding stock:', error);
+        res.status(500).json({ error: 'Failed to add stock' });
+    }
+});
+
+app.post("/:id/product/:productId/stock/use", requireAuth, requireWorkspaceRole('editor'), validate({ params: PRODUCT_PARAMS, body: STOCK_USE_BODY }), async (req, res) => {
     const { id, productId } = req.params;
-    const { expiryDate, qty } = req.body;
+    const { usedQty, stockId, unit } = req.body;
     
     try {
-        // Validate required fields
-        if (!expiryDate || !qty) {
-            return res.status(400).json({ error: 'Expiry date and quantity are required' });
+        const { product, qty: baseQty } = await toBaseQty({ workspaceId: id, productId, qty: usedQty, unit });
+        const batch = await useStock({ workspaceId: id, productId, stockId, usedQty: baseQty, by: req.userId });
+        res.status(200).json({
+            message: "Stock used successfully",
+            usedQty: baseQty,
+            remaining: batch.qty,
+            unit: product.measure,
+            inPacks: packView(product, batch.qty)
+        });
+    } catch (error) {
+        if (error instanceof StockError) {
+            return res.status(error.status).json({ message: error.message, ...error.details });
         }
+        console.error('Error using stock:', error);
+        res.status(500).json({ error: 'Failed to use stock' });
+    }
+});
 
-        // Validate qty is a number
-        if (isNaN(qty) || qty <= 0) {
-            return res.status(400).json({ error: 'Quantity must be a positive number' });
+// Full per-product ledger: every add, use, discard and correction with running balances
+app.get("/:id/product/:productId/ledger", requireAuth, requireWorkspaceRole('viewer'), async (req, res) => {
+    const { id, productId } = req.params;
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+    try {
+        if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > 200) {
+            return res.status(400).json({ error: 'page must be 1 or more and limit between 1 and 200' });
         }
 
-        // Validate expiry date format
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-        if (!dateRegex.test(expiryDate)) {
-            return res.status(400).json({ error: 'Expiry date must be in YYYY-MM-DD format' });
+        if (!mongoose.isValidObjectId(productId)) {
+            return res.status(400).json({ error: 'Invalid product ID' });
         }
 
-        const stock = await Stock.findOne({ userId: id, productId });
-        if (!stock) {
-            await Stock.create({ userId: id, productId, stockDetail: [{ expiryDate, qty: Number(qty) }] });
-            return res.status(201).json({ message: "Stock added successfully" });
+        const { rows, total } = await getLedger({ workspaceId: id, productId, page, limit });
+        res.status(200).json({ page, limit, total, pages: Math.ceil(total / limit), ledger: rows });
+    } catch (error) {
+        console.error('Error fetching ledger:', error);
+        res.status(500).json({ error: 'Failed to fetch ledger' });
+    }
+});
+
+// Batch corrections: each one is logged as an entry with the acting user
+const findBatch = async ({ id, productId, stockId }) => {
+    const stock = await Stock.findOne({ workspaceId: id, productId, stockDetail: { $elemMatch: { _id: stockId } } });
+    const stockItem = stock?.stockDetail.id(stockId);
+    if (!stockItem || stockItem.deletedAt) return null;
+    return { stock, stockItem };
+};
+
+app.put("/:id/product/:productId/stock/:stockId/expiry", requireAuth, requireWorkspaceRole('editor'), validate({ params: BATCH_PARAMS, body: EXPIRY_BODY }), async (req, res) => {
+    const { expiryDate, reason } = req.body;
+
+    try {
+        const batch = await findBatch(req.params);
+        if (!batch) {
+            return res.status(404).json({ message: "Stock not found" });
         }
-        
-        stock.stockDetail.push({ expiryDate, qty: Number(qty) });
+        const { stock, stockItem } = batch;
+
+        const previousExpiryDate = stockItem.expiryDate;
+        stockItem.expiryDate = expiryDate;
+        stockItem.entry.push({
+            time: new Date(),
+            type: 'edit',
+            previousExpiryDate,
+            newExpiryDate: stockItem.expiryDate,
+            reason,
+            by: req.userId
+        });
         await stock.save();
-        res.status(200).json({ message: "Stock added successfully" });
+        res.status(200).json({ message: "Expiry date updated successfully", stock: stockItem });
     } catch (error) {
-        console.error('Error adding stock:', error);
-        res.status(500).json({ error: 'Failed to add stock' });
+        console.error('Error updating expiry date:', error);
+        res.status(500).json({ error: 'Failed to update expiry date' });
     }
 });
 
-app.post("/:id/product/:productId/stock/use", async (req, res) => {
-    const { id, productId } = req.params;
-    const { usedQty, stockId } = req.body;
-    
+app.post("/:id/product/:productId/stock/:stockId/adjust", requireAuth, requireWorkspaceRole('editor'), validate({ params: BATCH_PARAMS, body: ADJUST_BODY }), async (req, res) => {
+    const { delta, reason } = req.body;
+
     try {
-        // Validate required fields
-        if (!usedQty || !stockId) {
-            return res.status(400).json({ error: 'Used quantity and stock ID are required' });
+        if (Number(delta) === 0) {
+            return res.status(400).json({ error: 'delta must be a non-zero number' });
         }
 
-        // Validate usedQty is a number
-        if (isNaN(usedQty) || usedQty <= 0) {
-            return res.status(400).json({ error: 'Used quantity must be a positive number' });
+        const batch = await findBatch(req.params);
+        if (!batch) {
+            return res.status(404).json({ message: "Stock not found" });
         }
+        const { stock, stockItem } = batch;
 
-        const stock = await Stock.findOne({ userId: id, productId, stockDetail: { $elemMatch: { _id: stockId } } });
-        if (!stock) {
+        const adjusted = roundQty(stockItem.qty + Number(delta));
+        if (adjusted < 0) {
+            return res.status(400).json({ message: "Adjustment would make quantity negative" });
+        }
+
+        stockItem.qty = adjusted;
+        stockItem.entry.push({ time: new Date(), type: 'adjust', delta: Number(delta), reason, by: req.userId });
+        await stock.save();
+        res.status(200).json({ message: "Stock adjusted successfully", stock: stockItem });
+    } catch (error) {
+        console.error('Error adjusting stock:', error);
+        res.status(500).json({ error: 'Failed to adjust stock' });
+    }
+});
+
+// Soft delete: the batch drops out of listings and totals, its log stays readable
+app.delete("/:id/product/:productId/stock/:stockId", requireAuth, requireWorkspaceRole('editor'), validate({ params: BATCH_PARAMS }), async (req, res) => {
+    const { reason } = req.body;
+
+    try {
+        const batch = await findBatch(req.params);
+        if (!batch) {
             return res.status(404).json({ message: "Stock not found" });
         }
+        const { stock, stockItem } = batch;
 
-        const stockItem = stock.stockDetail.find(item => item._id.toString() === stockId);
+        stockItem.entry.push({ time: new Date(), type: 'delete', delta: -stockItem.qty, reason, by: req.userId });
+        stockItem.qty = 0;
+        stockItem.deletedAt = new Date();
+        await stock.save();
+        res.status(200).json({ message: "Stock batch deleted successfully" });
+    } catch (error) {
+        console.error('Error deleting stock batch:', error);
+        res.status(500).json({ error: 'Failed to delete stock batch' });
+    }
+});
+
+app.get("/:id/product/:productId/stock/:stockId/log", requireAuth, requireWorkspaceRole('viewer'), validate({ params: BATCH_PARAMS }), async (req, res) => {
+    const { id, productId, stockId } = req.params;
+
+    try {
+        const stock = await Stock.findOne({ workspaceId: id, productId, stockDetail: { $elemMatch: { _id: stockId } } });
+        const stockItem = stock?.stockDetail.id(stockId);
         if (!stockItem) {
-            return res.status(404).json({ message: "Stock item not found" });
+            return res.status(404).json({ message: "Stock not found" });
         }
 
-        if (usedQty > stockItem.qty) {
-            return res.status(400).json({ message: "Used quantity exceeds available stock" });
+        const log = [...stockItem.entry].sort((a, b) => a.time - b.time);
+        res.status(200).json({ stockId: stockItem._id, deletedAt: stockItem.deletedAt, log });
+    } catch (error) {
+        console.error('Error fetching stock log:', error);
+        res.status(500).json({ error: 'Failed to fetch stock log' });
+    }
+});
+
+// Move all or part of a batch to another location; a partial move splits off a new batch
+app.post("/:id/product/:productId/stock/:stockId/transfer", requireAuth, requireWorkspaceRole('editor'), validate({ params: BATCH_PARAMS, body: TRANSFER_BODY }), async (req, res) => {
+    const { id, productId, stockId } = req.params;
+    const { toLocationId, qty } = req.body;
+
+    try {
+        const toLocation = toLocationId === 'none' ? null : await findLocation(id, toLocationId);
+        if (toLocationId !== 'none' && !toLocation) {
+            return res.status(404).json({ error: 'Location not found' });
         }
 
-        stockItem.qty -= Number(usedQty);
-        
-        // Initialize entry array if it doesn't exist
-        if (!stockItem.entry) {
-            stockItem.entry = [];
+        const { source, destination } = await transferStock({ workspaceId: id, productId, stockId, qty, toLocationId: toLocation?._id, by: req.userId });
+        res.status(200).json({ message: "Stock transferred successfully", source, destination });
+    } catch (error) {
+        if (error instanceof StockError) {
+            return res.status(error.status).json({ message: error.message, ...error.details });
         }
-        
-        stockItem.entry.push({ usedQty: Number(usedQty), time: new Date(), type: 'sub' });
+        console.error('Error transferring stock:', error);
+        res.status(500).json({ error: 'Failed to transfer stock' });
+    }
+});
+
+// Throw stock away; recorded as its own 'discard' entry so wastage is not counted as use
+app.post("/:id/product/:productId/stock/discard", requireAuth, requireWorkspaceRole('editor'), validate({ params: PRODUCT_PARAMS, body: DISCARD_BODY }), async (req, res) => {
+    const { id, productId } = req.params;
+    const { qty, stockId, reason, note } = req.body;
+
+    try {
+        const stock = await Stock.findOne({ workspaceId: id, productId, stockDetail: { $elemMatch: { _id: stockId } } });
+        if (!stock) {
+            return res.status(404).json({ message: "Stock not found" });
+        }
+
+        const stockItem = stock.stockDetail.id(stockId);
+        const discarded = roundQty(Number(qty));
+        if (discarded > roundQty(stockItem.qty)) {
+            return res.status(400).json({ message: "Discarded quantity exceeds available stock" });
+        }
+
+        stockItem.qty = roundQty(stockItem.qty - discarded);
+        stockItem.entry.push({ usedQty: discarded, time: new Date(), type: 'discard', reason, note, by: req.userId });
         await stock.save();
-        res.status(200).json({ message: "Stock used successfully" });
+        res.status(200).json({ message: "Stock discarded successfully", remaining: stockItem.qty });
     } catch (error) {
-        console.error('Error using stock:', error);
-        res.status(500).json({ error: 'Failed to use stock' });
+        console.error('Error discarding stock:', error);
+        res.status(500).json({ error: 'Failed to discard stock' });
+    }
+});
+
+// Consume by quantity alone, drawing from the earliest-expiring batches first (FEFO)
+app.post("/:id/product/:productId/stock/consume", requireAuth, requireWorkspaceRole('editor'), validate({ params: PRODUCT_PARAMS, body: CONSUME_BODY }), async (req, res) => {
+    const { id, productId } = req.params;
+    const { qty, skipExpired } = req.body;
+
+    try {
+        const breakdown = await consumeStock({ workspaceId: id, productId, qty, skipExpired, by: req.userId });
+        res.status(200).json({ message: "Stock consumed successfully", consumed: Number(qty), breakdown });
+    } catch (error) {
+        if (error instanceof StockError) {
+            return res.status(error.status).json({ message: error.message, ...error.details });
+        }
+        console.error('Error consuming stock:', error);
+        res.status(500).json({ error: 'Failed to consume stock' });
     }
 });
 
-app.get("/:id/instock", async (req, res) => {
+// ?locationId= limits batches to one location ('none' for batches without one)
+app.get("/:id/instock", requireAuth, requireWorkspaceRole('viewer'), async (req, res) => {
     const { id } = req.params;
+    const { locationId } = req.query;
     try {
-        const instocks = await Stock.find({ userId: id });
+        if (locationId !== undefined && locationId !== 'none' && !mongoose.isValidObjectId(locationId)) {
+            return res.status(400).json({ error: "locationId must be a location ID or 'none'" });
+        }
+
+        const instocks = await Stock.find({ workspaceId: id });
         if (!instocks || instocks.length === 0) {
             return res.status(200).json({ message: "No stock found", stockWithProducts: [] });
         }
 
-        const product = await Product.findOne({ userId: id });
+        const product = await Product.findOne({ workspaceId: id });
         if (!product) {
             return res.status(200).json({ message: "No product found", stockWithProducts: [] });
         }
 
-        const stockWithProducts = instocks.map(stock => ({
-            productId: stock.productId,
-            stockDetail: stock.stockDetail
-        }));
-
-        res.status(200).json({ message: "Stock found", stockWithProducts, product: { allProducts: product.allProducts } });
+        const activeProducts = product.allProducts.filter(item => !item.archived);
+        const productById = new Map(activeProducts.map(item => [item._id.toString(), item]));
+        const inLocation = (batch) => locationId === undefined
+            || String(batch.locationId || 'none') === locationId;
+
+        // Batch quantities are stored in the product's base unit, so totals are too
+        const stockWithProducts = instocks
+            .filter(stock => productById.has(stock.productId.toString()))
+            .map(stock => {
+                const item = productById.get(stock.productId.toString());
+                const stockDetail = stock.stockDetail.filter(batch => !batch.deletedAt && inLocation(batch));
+                const totalQty = roundQty(stockDetail.reduce((sum, batch) => sum + batch.qty, 0));
+                return {
+                    productId: stock.productId,
+                    totalQty,
+                    unit: item.measure,
+                    inPacks: packView(item, totalQty),
+                    stockDetail
+                };
+            })
+            .filter(stock => locationId === undefined || stock.stockDetail.length > 0);
+
+        res.status(200).json({ message: "Stock found", stockWithProducts, product: { allProducts: activeProducts } });
     } catch (error) {
         console.error('Error fetching instock:', error);
         res.status(500).json({ error: 'Failed to fetch stock data' });
     }
 });
 
-app.get("/:id/product", async (req, res) => {
+app.get("/:id/product", requireAuth, requireWorkspaceRole('viewer'), async (req, res) => {
     const { id } = req.params;
     try {
-        const product = await Product.findOne({ userId: id });
+        const product = await Product.findOne({ workspaceId: id });
         if (!product) {
             return res.status(200).json([]); // Return empty array if no products found
         }
-        res.status(200).json(product.allProducts || []);
+        const includeArchived = req.query.includeArchived === 'true';
+        const products = (product.allProducts || []).filter(item => includeArchived || !item.archived);
+        res.status(200).json(products);
     } catch (error) {
         console.error('Error fetching products:', error);
         res.status(500).json({ error: 'Failed to fetch products' });
@@ -515,6 +665,10 @@ app.get("/:id/product", async (req, res) => {
 
 // Global error handler
 app.use((err, req, res, next) => {
+    // Body parser errors (malformed JSON, body too large) are the client's
+    if (err.expose && err.status < 500) {
+        return res.status(err.status).json({ error: err.message });
+    }
     console.error('Error:', err.stack);
     res.status(500).json({ 
         error: 'Something went wrong!',
@@ -533,6 +687,7 @@ app.use('*', (req, res) => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully');
+    stopExpiryAlertJob();
     try {
         await mongoose.connection.close();
         console.log('MongoDB connection closed');
@@ -0,0 +1,36 @@
+import { createExpiryAlerts } from '../services/expiry.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // hourly
+const DEFAULT_DAYS = 3;
+
+let timer = null;
+
+const runOnce = async (days) => {
+    try {
+        const created = await createExpiryAlerts(days);
+        if (created > 0) {
+            console.log(`Expiry alert job: ${created} new alert(s) created`);
+        }
+    } catch (error) {
+        console.error('Expiry alert job failed:', error);
+    }
+};
+
+// In-process scheduler; call once after MongoDB has connected
+export const startExpiryAlertJob = () => {
+    if (timer) return;
+
+    const interval = Number(process.env.EXPIRY_ALERT_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    const days = Number(process.env.EXPIRY_ALERT_DAYS) || DEFAULT_DAYS;
+
+    runOnce(days);
+    timer = setInterval(() => runOnce(days), interval);
+    timer.unref();
+};
+
+export const stopExpiryAlertJob = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
@@ -0,0 +1,63 @@
+import jwt from 'jsonwebtoken';
+import User from '../model/User.js';
+
+const DEFAULT_ACCESS_TOKEN_TTL_MINUTES = 15;
+
+// Read the secret lazily: ES module imports run before dotenv.config() in index.js
+const getSecret = () => process.env.JWT_SECRET;
+
+// Access tokens are short-lived; clients get a new one from /auth/refresh
+export const accessTokenTtlSeconds = () => (Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || DEFAULT_ACCESS_TOKEN_TTL_MINUTES) * 60;
+
+// `sessionId` ties the access token to the refresh-token session it was issued for
+export const createToken = (userId, sessionId) => {
+    return jwt.sign({ id: userId, sid: sessionId }, getSecret(), { expiresIn: accessTokenTtlSeconds() });
+};
+
+export const verifyToken = (token, options) => {
+    return jwt.verify(token, getSecret(), options);
+};
+
+// Bearer header first, then the httpOnly cookie set on login/signup
+export const getTokenFromRequest = (req) => {
+    const header = req.headers.authorization;
+    if (header && header.startsWith('Bearer ')) {
+        return header.split(' ')[1];
+    }
+    return req.cookies?.token || null;
+};
+
+// Verify the JWT and expose the caller's id as req.userId and their session as req.sessionId.
+// Tokens issued before the user's last password change are refused.
+export const requireAuth = async (req, res, next) => {
+    const token = getTokenFromRequest(req);
+    if (!token) {
+        return res.status(401).json({ error: 'No token provided' });
+    }
+
+    let decoded;
+    try {
+        decoded = verifyToken(token);
+    } catch {
+        return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    try {
+        const user = await User.findById(decoded.id).select('passwordChangedAt');
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid token' });
+        }
+        // iat is in whole seconds
+        if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+            return res.status(401).json({ error: 'Password was changed. Please log in again' });
+        }
+    } catch (error) {
+        console.error('Error checking token:', error);
+        return res.status(500).json({ error: 'Failed to check token' });
+    }
+
+    req.userId = String(decoded.id);
+    req.sessionId = decoded.sid ? String(decoded.sid) : undefined;
+    next();
+};
+
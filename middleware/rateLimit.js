@@ -0,0 +1,25 @@
+import { getLockSeconds, recordHit } from '../services/rateLimit.js';
+
+// Answers 429 with a Retry-After header
+export const sendTooManyRequests = (res, seconds, message = 'Too many requests. Please try again later.') => {
+    res.set('Retry-After', String(seconds));
+    return res.status(429).json({ error: message, retryAfter: seconds });
+};
+
+// Allows `limit` requests per `windowMs` for each client IP on the named route group. `limit` may
+// be a function, so values from .env are read per request rather than at import time.
+// If the counter store is down the request goes through, so an outage does not lock everyone out.
+export const rateLimitByIp = ({ name, limit, windowMs }) => async (req, res, next) => {
+    const key = `${name}:ip:${req.ip}`;
+
+    try {
+        const locked = await getLockSeconds(key);
+        if (locked > 0) {
+            return sendTooManyRequests(res, locked);
+        }
+        await recordHit(key, { limit: typeof limit === 'function' ? limit() : limit, windowMs });
+    } catch (error) {
+        console.error('Rate limit check failed:', error);
+    }
+    next();
+};
@@ -0,0 +1,17 @@
+import { validateSchema } from '../utils/schema.js';
+
+// Checks req.params, req.query and req.body against the given schemas (see utils/schema.js)
+// and answers 400 with every problem at once, before the route handler runs.
+export const validate = (schemas) => (req, res, next) => {
+    const errors = [];
+    for (const source of ['params', 'query', 'body']) {
+        if (schemas[source]) {
+            errors.push(...validateSchema(req[source], schemas[source]));
+        }
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join('; '), errors });
+    }
+    next();
+};
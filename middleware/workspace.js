@@ -0,0 +1,26 @@
+import { getMembership, hasRole } from '../services/workspace.js';
+
+// Resolve req.params[param] to a workspace the caller belongs to with at least `minRole`.
+// Use after requireAuth; exposes req.workspace and req.role.
+export const requireWorkspaceRole = (minRole, param = 'id') => async (req, res, next) => {
+    if (!req.userId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    try {
+        const membership = await getMembership(req.params[param], req.userId);
+        if (!membership) {
+            return res.status(403).json({ error: 'You do not have access to this workspace' });
+        }
+        if (!hasRole(membership.role, minRole)) {
+            return res.status(403).json({ error: `This needs the ${minRole} role; you are a ${membership.role}` });
+        }
+
+        req.workspace = membership.workspace;
+        req.role = membership.role;
+        next();
+    } catch (error) {
+        console.error('Error checking workspace access:', error);
+        res.status(500).json({ error: 'Failed to check workspace access' });
+    }
+};
@@ -0,0 +1,46 @@
+// Gives every batch created before 'add' entries existed an opening 'add' entry,
+// so its qty can be rebuilt from the ledger. Safe to run more than once.
+// Works on the raw collection, so it runs whether or not the workspaces migration has been run yet.
+//   node migrations/backfill-add-entries.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Stock from '../model/Stock.js';
+
+dotenv.config();
+
+// Undo every later entry to recover the quantity the batch started with
+const openingQty = (batch) => (batch.entry || []).reduce((qty, entry) => {
+    if (entry.type === 'sub' || entry.type === 'discard') return qty + entry.usedQty;
+    if (entry.type === 'adjust' || entry.type === 'delete' || entry.type === 'transfer') return qty - (entry.delta || 0);
+    return qty;
+}, batch.qty);
+
+// Batches split off by a transfer open with a 'transfer' entry instead
+const hasOpeningEntry = (batch) => (batch.entry || []).some(entry => entry.type === 'add' || (entry.type === 'transfer' && entry.delta > 0));
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    let updated = 0;
+    for await (const stock of Stock.collection.find()) {
+        for (const batch of stock.stockDetail || []) {
+            if (hasOpeningEntry(batch)) continue;
+
+            const entry = { _id: new mongoose.Types.ObjectId(), type: 'add', usedQty: openingQty(batch), time: batch._id.getTimestamp() };
+            await Stock.collection.updateOne(
+                { _id: stock._id },
+                { $push: { 'stockDetail.$[batch].entry': { $each: [entry], $position: 0 } } },
+                { arrayFilters: [{ 'batch._id': batch._id }] }
+            );
+            updated++;
+        }
+    }
+
+    console.log(`Backfilled 'add' entries for ${updated} batch(es)`);
+    await mongoose.disconnect();
+};
+
+run().catch(err => {
+    console.error('Migration failed:', err);
+    process.exit(1);
+});
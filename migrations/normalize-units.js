@@ -0,0 +1,40 @@
+// Rewrites product measures stored under an alias ("liter", "Liter", "piece", ...) to the canonical
+// unit from utils/units.js, so every measure passes the schema enum. Quantities are unchanged:
+// an alias names the same unit. Safe to run more than once.
+//   node migrations/normalize-units.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Product from '../model/Product.js';
+import { canonicalUnit, CANONICAL_UNITS } from '../utils/units.js';
+
+dotenv.config();
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const measures = await Product.collection.distinct('allProducts.measure');
+    for (const measure of measures) {
+        if (CANONICAL_UNITS.includes(measure)) continue;
+
+        const unit = canonicalUnit(measure);
+        if (!unit) {
+            console.warn(`Unknown measure "${measure}" left as is; fix these products by hand`);
+            continue;
+        }
+
+        // Raw collection update: the model's enum would reject the old value on a normal save
+        const result = await Product.collection.updateMany(
+            { 'allProducts.measure': measure },
+            { $set: { 'allProducts.$[item].measure': unit } },
+            { arrayFilters: [{ 'item.measure': measure }] }
+        );
+        console.log(`"${measure}" -> "${unit}": updated ${result.modifiedCount} document(s)`);
+    }
+
+    await mongoose.disconnect();
+};
+
+run().catch(err => {
+    console.error('Migration failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,58 @@
+// Moves inventory stored per user into each user's personal workspace. The personal workspace
+// reuses the user's id, so Product, Stock and Alert documents only need userId renamed to
+// workspaceId. Safe to run more than once.
+//   node migrations/personal-workspaces.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../model/User.js';
+import Product from '../model/Product.js';
+import Stock from '../model/Stock.js';
+import Alert from '../model/Alert.js';
+import Conversation from '../model/Conversation.js';
+import { ensurePersonalWorkspace } from '../services/workspace.js';
+
+dotenv.config();
+
+const renameOwnerField = async (Model) => {
+    const result = await Model.collection.updateMany(
+        { userId: { $exists: true }, workspaceId: { $exists: false } },
+        { $rename: { userId: 'workspaceId' } }
+    );
+    return result.modifiedCount;
+};
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    let workspaces = 0;
+    for await (const user of User.find().select('name').cursor()) {
+        await ensurePersonalWorkspace(user._id, `${user.name}'s inventory`);
+        workspaces++;
+    }
+    console.log(`Ensured personal workspaces for ${workspaces} user(s)`);
+
+    for (const Model of [Product, Stock, Alert]) {
+        console.log(`${Model.modelName}: moved ${await renameOwnerField(Model)} document(s)`);
+    }
+
+    // The old alert index was unique per user; replace it with the per-workspace one
+    const indexes = await Alert.collection.indexes();
+    if (indexes.some(index => index.name === 'userId_1_stockId_1_type_1')) {
+        await Alert.collection.dropIndex('userId_1_stockId_1_type_1');
+    }
+    await Alert.syncIndexes();
+
+    // Conversations stay with their user; point existing ones at the personal workspace
+    const conversations = await Conversation.updateMany(
+        { workspaceId: { $exists: false } },
+        [{ $set: { workspaceId: '$userId' } }]
+    );
+    console.log(`Conversation: linked ${conversations.modifiedCount} document(s)`);
+
+    await mongoose.disconnect();
+};
+
+run().catch(err => {
+    console.error('Migration failed:', err);
+    process.exit(1);
+});
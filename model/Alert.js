@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+const alertSchema = new mongoose.Schema({
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true
+    },
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    stockId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['expiring', 'expired'],
+        required: true
+    },
+    productName: {
+        type: String
+    },
+    expiryDate: {
+        type: Date,
+        required: true
+    },
+    qty: {
+        type: Number
+    },
+    read: {
+        type: Boolean,
+        default: false
+    },
+    readAt: {
+        type: Date
+    }
+}, { timestamps: true });
+
+// One alert per batch and type, so the job can run repeatedly without duplicates
+alertSchema.index({ workspaceId: 1, stockId: 1, type: 1 }, { unique: true });
+
+export default mongoose.model('Alert', alertSchema);
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// Single-use token for a password reset or email verification link. Only its hash is stored.
+const authTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: ['reset_password', 'verify_email'],
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date
+    }
+}, { timestamps: true });
+
+authTokenSchema.index({ userId: 1, purpose: 1 });
+// Mongo removes tokens a day after they expire
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.model('AuthToken', authTokenSchema);
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+const messageSchema = new mongoose.Schema({
+    role: {
+        type: String,
+        enum: ['user', 'assistant'],
+        required: true
+    },
+    content: {
+        type: String,
+        default: ''
+    },
+    // Parsed AI action ({ intent, data }) so follow-ups can refer back to it
+    action: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    time: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const conversationSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Workspace the chat reads and changes; conversations without one use the personal workspace
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace'
+    },
+    // Set when the conversation was started from a product page
+    productId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    title: {
+        type: String
+    },
+    messages: [messageSchema]
+}, { timestamps: true });
+
+conversationSchema.index({ userId: 1, updatedAt: -1 });
+
+export default mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+import { WORKSPACE_ROLES } from '../utils/validation.js';
+
+// An invitation for whoever signs in with `email` to join a workspace with `role`
+const invitationSchema = new mongoose.Schema({
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true
+    },
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    role: {
+        type: String,
+        enum: WORKSPACE_ROLES,
+        required: true
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined', 'revoked'],
+        default: 'pending'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    respondedAt: {
+        type: Date
+    }
+}, { timestamps: true });
+
+invitationSchema.index({ email: 1, status: 1 });
+invitationSchema.index({ workspaceId: 1, status: 1 });
+
+export default mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// A place stock is kept in (fridge, freezer, pantry, back room); batches point at one by locationId
+const locationSchema = new mongoose.Schema({
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    }
+}, { timestamps: true });
+
+// Names are unique per workspace, ignoring case
+locationSchema.index({ workspaceId: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+export default mongoose.model('Location', locationSchema);
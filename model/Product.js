@@ -1,4 +1,21 @@
 import mongoose from 'mongoose';
+import { VALID_MEASURES } from '../utils/validation.js';
+import { canonicalUnit } from '../utils/units.js';
+
+// A purchase pack, e.g. { name: 'bag', size: 5 } for a product measured in kg
+const packSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Base units (the product's measure) in one pack
+    size: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
 
 const proSchema = new mongoose.Schema({
     name: { 
@@ -9,16 +26,36 @@ const proSchema = new mongoose.Schema({
         type: String, 
         required: true 
     },
+    // Base unit for every quantity of this product; aliases such as "liter" are stored as "l"
     measure: {
         type: String, 
         required: true, 
-        enum: ['kg', 'g', 'l', 'ml', 'liter', 'Liter', 'pcs', 'box', 'bag','bottle', 'can', 'pack', 'piece', 'other'] 
+        enum: VALID_MEASURES,
+        set: (value) => canonicalUnit(value) || value
+    },
+    // Reorder when live stock drops below minQty; reorderQty is how much to buy
+    minQty: {
+        type: Number,
+        min: 0
+    },
+    reorderQty: {
+        type: Number,
+        min: 0
+    },
+    packs: [packSchema],
+    // Normalized barcode/GTIN (see utils/barcode.js), unique within the workspace
+    barcode: {
+        type: String
+    },
+    archived: {
+        type: Boolean,
+        default: false
     },
 
 },{_id:true})
 
 const productSchema = new mongoose.Schema({
-    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', required: true },
     allProducts: [proSchema]
 }, { timestamps: true });
 
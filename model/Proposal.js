@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// An AI-parsed inventory change waiting for the user to confirm, edit or reject it
+const proposalSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true
+    },
+    conversationId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    productId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    intent: {
+        type: String,
+        enum: ['add_product', 'add_stock', 'use_stock'],
+        required: true
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    summary: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'confirmed', 'rejected', 'expired'],
+        default: 'pending'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    resolvedAt: {
+        type: Date
+    },
+    result: {
+        type: String
+    }
+}, { timestamps: true });
+
+proposalSchema.index({ userId: 1, status: 1 });
+// Mongo removes proposals a day after they expire
+proposalSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.model('Proposal', proposalSchema);
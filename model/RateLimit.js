@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// Fixed-window counter for one key (e.g. "login:ip:1.2.3.4"), kept in Mongo so limits survive restarts
+const rateLimitSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    resetAt: {
+        type: Date
+    },
+    lockedUntil: {
+        type: Date
+    },
+    // Whichever of resetAt and lockedUntil is later; Mongo removes the counter after it
+    expiresAt: {
+        type: Date
+    }
+});
+
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RateLimit', rateLimitSchema);
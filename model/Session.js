@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// One signed-in device. The refresh token is `<sessionId>.<secret>`; only a hash of the
+// current secret is kept, and rotated-out hashes are remembered to catch reuse.
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    usedTokenHashes: [String],
+    userAgent: {
+        type: String
+    },
+    ip: {
+        type: String
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    // logout, revoked, revoked_all, reuse_detected, password_reset or password_changed
+    revokedReason: {
+        type: String
+    }
+}, { timestamps: true });
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Mongo removes sessions a week after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export default mongoose.model('Session', sessionSchema);
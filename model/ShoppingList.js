@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+const shoppingItemSchema = new mongoose.Schema({
+    // Unset for free-text items that aren't in the catalogue yet
+    productId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Quantity to buy, in the product's measure
+    qty: {
+        type: Number,
+        min: 0
+    },
+    note: {
+        type: String
+    },
+    // 'auto' items come from the reorder list and follow it until someone edits them
+    source: {
+        type: String,
+        enum: ['auto', 'manual'],
+        required: true
+    },
+    // Why an auto item is on the list (see services/reorder.js)
+    basis: {
+        type: String,
+        enum: ['threshold', 'consumption']
+    },
+    // 'dismissed' keeps a removed auto item from coming back while the product still needs restocking
+    status: {
+        type: String,
+        enum: ['open', 'bought', 'dismissed'],
+        default: 'open'
+    },
+    addedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    },
+    boughtAt: {
+        type: Date
+    },
+    boughtBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    boughtQty: {
+        type: Number
+    },
+    // The batch created when the item was bought
+    stockId: {
+        type: mongoose.Schema.Types.ObjectId
+    }
+});
+
+// One list per workspace
+const shoppingListSchema = new mongoose.Schema({
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true,
+        unique: true
+    },
+    items: [shoppingItemSchema]
+}, { timestamps: true });
+
+export default mongoose.model('ShoppingList', shoppingListSchema);
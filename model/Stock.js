@@ -7,10 +7,44 @@ const stoSchema= new mongoose.Schema({
     },
     type:{
         type:String,
-        enum:['add','sub'],
+        enum:['add','sub','discard','adjust','edit','delete','transfer'],
     },
     usedQty:{
         type:Number,
+    },
+    // Signed change to qty for 'adjust', 'delete' and 'transfer' entries
+    delta:{
+        type:Number,
+    },
+    // 'edit' entries record the expiry date change
+    previousExpiryDate:{
+        type:Date,
+    },
+    newExpiryDate:{
+        type:Date,
+    },
+    // 'transfer' entries record where stock moved; a partial move also names the other batch
+    fromLocationId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Location',
+    },
+    toLocationId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Location',
+    },
+    linkedStockId:{
+        type:mongoose.Schema.Types.ObjectId,
+    },
+    // Discard reasons are one of expired/damaged/spoiled/other; adjustments take free text
+    reason:{
+        type:String,
+    },
+    note:{
+        type:String,
+    },
+    by:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'User',
     }
 })
 const stockDetailSchema =new mongoose.Schema({
@@ -22,13 +56,31 @@ const stockDetailSchema =new mongoose.Schema({
         type: Number,
         required: true
     },
-    entry: [stoSchema]
+    // Purchase price per base unit of the product; unset when unknown
+    unitCost: {
+        type: Number,
+        min: 0
+    },
+    supplierId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier'
+    },
+    // Unset means the batch has not been put in a location
+    locationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location'
+    },
+    entry: [stoSchema],
+    // Soft delete keeps the batch's entry log readable
+    deletedAt: {
+        type: Date
+    }
 })
 
 const stockSchema = new mongoose.Schema({
-    userId: {
+    workspaceId: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
+        ref: 'Workspace',
         required: true
     },
     productId:{
@@ -40,4 +92,4 @@ const stockSchema = new mongoose.Schema({
 
 }, { timestamps: true });
 
-export default mongoose.model('Stock', stockSchema);
\ No newline at end of file
+export default mongoose.model('Stock', stockSchema);
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// Where a workspace buys stock; batches added with a supplierId point here
+const supplierSchema = new mongoose.Schema({
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    notes: {
+        type: String
+    }
+}, { timestamps: true });
+
+// Names are unique per workspace, ignoring case
+supplierSchema.index({ workspaceId: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+export default mongoose.model('Supplier', supplierSchema);
@@ -3,6 +3,9 @@ import mongoose from 'mongoose';
 const userSchema = new mongoose.Schema({
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true },
-    password: { type: String, required: true }         // hashed password
+    password: { type: String, required: true },         // hashed password
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date },
+    passwordChangedAt: { type: Date }
 });
 export default mongoose.model('User', userSchema);
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+import { WORKSPACE_ROLES } from '../utils/validation.js';
+
+const memberSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        enum: WORKSPACE_ROLES,
+        required: true
+    },
+    joinedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// A shared inventory. Every user has a personal workspace whose _id is their own user id,
+// so /:id routes called with a user id keep working on that user's own inventory.
+const workspaceSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    personal: {
+        type: Boolean,
+        default: false
+    },
+    members: [memberSchema]
+}, { timestamps: true });
+
+workspaceSchema.index({ 'members.userId': 1 });
+
+export default mongoose.model('Workspace', workspaceSchema);
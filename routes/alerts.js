@@ -0,0 +1,81 @@
+import express from 'express';
+import Alert from '../model/Alert.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireWorkspaceRole } from '../middleware/workspace.js';
+import { validate } from '../middleware/validate.js';
+import { findExpiringBatches } from '../services/expiry.js';
+
+const router = express.Router();
+
+const ALERT_PARAMS = { properties: { alertId: { type: 'string', format: 'objectId' } } };
+
+// EXPIRING-SOON REPORT
+router.get('/:id/expiring', requireAuth, requireWorkspaceRole('viewer'), async (req, res) => {
+    const { id } = req.params;
+    const days = req.query.days === undefined ? 7 : Number(req.query.days);
+
+    try {
+        if (!Number.isInteger(days) || days < 0) {
+            return res.status(400).json({ error: 'days must be a non-negative whole number' });
+        }
+
+        const { expiring, expired } = await findExpiringBatches({ workspaceId: id, days });
+        res.status(200).json({ days, expiring, expired });
+    } catch (error) {
+        console.error('Error fetching expiring stock:', error);
+        res.status(500).json({ error: 'Failed to fetch expiring stock' });
+    }
+});
+
+// LIST ALERTS (newest first, ?unread=true for unread only)
+router.get('/:id/alerts', requireAuth, requireWorkspaceRole('viewer'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const filter = { workspaceId: id };
+        if (req.query.unread === 'true') {
+            filter.read = false;
+        }
+
+        const alerts = await Alert.find(filter).sort({ createdAt: -1 });
+        res.status(200).json(alerts);
+    } catch (error) {
+        console.error('Error fetching alerts:', error);
+        res.status(500).json({ error: 'Failed to fetch alerts' });
+    }
+});
+
+// MARK ONE ALERT READ
+router.post('/:id/alerts/:alertId/read', requireAuth, requireWorkspaceRole('viewer'), validate({ params: ALERT_PARAMS }), async (req, res) => {
+    const { id, alertId } = req.params;
+
+    try {
+        const alert = await Alert.findOneAndUpdate(
+            { _id: alertId, workspaceId: id },
+            { read: true, readAt: new Date() },
+            { new: true }
+        );
+        if (!alert) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        res.status(200).json({ message: 'Alert marked as read', alert });
+    } catch (error) {
+        console.error('Error updating alert:', error);
+        res.status(500).json({ error: 'Failed to update alert' });
+    }
+});
+
+// MARK ALL ALERTS READ
+router.post('/:id/alerts/read-all', requireAuth, requireWorkspaceRole('viewer'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const result = await Alert.updateMany({ workspaceId: id, read: false }, { read: true, readAt: new Date() });
+        res.status(200).json({ message: 'Alerts marked as read', updated: result.modifiedCount });
+    } catch (error) {
+        console.error('Error updating alerts:', error);
+        res.status(500).json({ error: 'Failed to update alerts' });
+    }
+});
+
+export default router;
@@ -0,0 +1,131 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { requireAuth } from '../middleware/auth.js';
+import { requireWorkspaceRole } from '../middleware/workspace.js';
+import { getUsageByPeriod, getBurnRates, getWastage, PERIODS } from '../services/analytics.js';
+import { getStockValue, getCostOfUse } from '../services/valuation.js';
+import { startOfToday } from '../services/expiry.js';
+import { DATE_REGEX } from '../utils/validation.js';
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Reads ?from=YYYY-MM-DD&to=YYYY-MM-DD&productId=a,b from the query.
+ * `to` is inclusive; the range defaults to the last 30 days including today.
+ * Returns { error } when a value is malformed.
+ */
+const parseFilters = (query) => {
+    if ((query.from && !DATE_REGEX.test(query.from)) || (query.to && !DATE_REGEX.test(query.to))) {
+        return { error: 'from and to must be in YYYY-MM-DD format' };
+    }
+
+    const to = query.to
+        ? new Date(new Date(query.to).getTime() + DAY_MS)
+        : new Date(startOfToday().getTime() + DAY_MS);
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+    if (isNaN(from) || isNaN(to) || from >= to) {
+        return { error: 'from must be a valid date on or before to' };
+    }
+
+    const productIds = query.productId ? String(query.productId).split(',').map(value => value.trim()).filter(Boolean) : [];
+    if (!productIds.every(productId => mongoose.isValidObjectId(productId))) {
+        return { error: 'productId must be a comma-separated list of product IDs' };
+    }
+
+    return { from, to, productIds };
+};
+
+// USAGE PER PRODUCT BY DAY / WEEK / MONTH
+router.get('/:id/analytics/usage', requireAuth, requireWorkspaceRole('viewer'), async (req, res) => {
+    const { id } = req.params;
+    const period = req.query.period || 'day';
+
+    try {
+        if (!PERIODS.includes(period)) {
+            return res.status(400).json({ error: `period must be one of: ${PERIODS.join(', ')}` });
+        }
+
+        const filters = parseFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({ error: filters.error });
+        }
+
+        const products = await getUsageByPeriod({ workspaceId: id, period, ...filters });
+        res.status(200).json({ period, from: filters.from, to: filters.to, products });
+    } catch (error) {
+        console.error('Error fetching usage analytics:', error);
+        res.status(500).json({ error: 'Failed to fetch usage analytics' });
+    }
+});
+
+// AVERAGE BURN RATE AND DAYS UNTIL STOCK-OUT
+router.get('/:id/analytics/burn-rate', requireAuth, requireWorkspaceRole('viewer'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const filters = parseFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({ error: filters.error });
+        }
+
+        const products = await getBurnRates({ workspaceId: id, ...filters });
+        res.status(200).json({ from: filters.from, to: filters.to, products });
+    } catch (error) {
+        console.error('Error fetching burn rates:', error);
+        res.status(500).json({ error: 'Failed to fetch burn rates' });
+    }
+});
+
+// WASTAGE: DISCARDED VS BOUGHT
+router.get('/:id/analytics/wastage', requireAuth, requireWorkspaceRole('viewer'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const filters = parseFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({ error: filters.error });
+        }
+
+        const products = await getWastage({ workspaceId: id, ...filters });
+        res.status(200).json({ from: filters.from, to: filters.to, products });
+    } catch (error) {
+        console.error('Error fetching wastage report:', error);
+        res.status(500).json({ error: 'Failed to fetch wastage report' });
+    }
+});
+
+// CURRENT STOCK VALUE PER PRODUCT AND PER LOCATION
+router.get('/:id/analytics/value', requireAuth, requireWorkspaceRole('viewer'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const value = await getStockValue({ workspaceId: id });
+        res.status(200).json(value);
+    } catch (error) {
+        console.error('Error fetching stock value:', error);
+        res.status(500).json({ error: 'Failed to fetch stock value' });
+    }
+});
+
+// COST OF STOCK CONSUMED AND WASTED
+router.get('/:id/analytics/cost', requireAuth, requireWorkspaceRole('viewer'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const filters = parseFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({ error: filters.error });
+        }
+
+        const cost = await getCostOfUse({ workspaceId: id, ...filters });
+        res.status(200).json({ from: filters.from, to: filters.to, ...cost });
+    } catch (error) {
+        console.error('Error fetching cost report:', error);
+        res.status(500).json({ error: 'Failed to fetch cost report' });
+    }
+});
+
+export default router;
@@ -1,26 +1,85 @@
 import express from 'express';
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
 import User from '../model/User.js';
+import { createToken, verifyToken, getTokenFromRequest, requireAuth, accessTokenTtlSeconds } from '../middleware/auth.js';
+import { ensurePersonalWorkspace } from '../services/workspace.js';
+import {
+    createSession,
+    rotateSession,
+    findSessionByRefreshToken,
+    listSessions,
+    revokeSession,
+    revokeAllSessions,
+    refreshTokenTtlMs
+} from '../services/session.js';
+import { consumeAuthToken, sendVerificationEmail, sendPasswordResetEmail } from '../services/authTokens.js';
+import { getLockSeconds, recordHit, resetKey } from '../services/rateLimit.js';
+import { rateLimitByIp, sendTooManyRequests } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRES_IN = '3d';
 
-const createToken = (userId) => {
-    return jwt.sign({ id: userId }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+const MINUTE_MS = 60 * 1000;
+const LOGIN_WINDOW_MS = 15 * MINUTE_MS;
+
+const loginLimits = () => ({
+    ipLimit: Number(process.env.LOGIN_IP_LIMIT) || 20,
+    maxFailures: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+    lockMs: (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * MINUTE_MS
+});
+
+const emailField = { type: 'string', format: 'email', maxLength: 254 };
+const tokenField = { type: 'string', minLength: 1 };
+
+const SIGNUP_BODY = {
+    required: ['email', 'password', 'name'],
+    properties: { email: emailField, password: { type: 'string', format: 'password' }, name: { type: 'string', minLength: 1, maxLength: 100 } }
+};
+const LOGIN_BODY = {
+    required: ['email', 'password'],
+    properties: { email: emailField, password: { type: 'string', minLength: 1 } }
+};
+const FORGOT_BODY = { required: ['email'], properties: { email: emailField } };
+const RESET_BODY = {
+    required: ['token', 'password'],
+    properties: { token: tokenField, password: { type: 'string', format: 'password' } }
+};
+const CHANGE_PASSWORD_BODY = {
+    required: ['currentPassword', 'newPassword'],
+    properties: { currentPassword: { type: 'string', minLength: 1 }, newPassword: { type: 'string', format: 'password' } }
+};
+const VERIFY_EMAIL_BODY = { required: ['token'], properties: { token: tokenField } };
+
+const COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: true,        // HTTPS only
+    sameSite: 'None'     // cross-site
+};
+// The refresh token is only ever needed by /auth routes
+const REFRESH_COOKIE_OPTIONS = { ...COOKIE_OPTIONS, path: '/auth' };
+
+const clientInfo = (req) => ({ userAgent: req.get('user-agent'), ip: req.ip });
+
+const setAuthCookies = (res, { token, refreshToken }) => {
+    res.cookie('token', token, { ...COOKIE_OPTIONS, maxAge: accessTokenTtlSeconds() * 1000 });
+    res.cookie('refreshToken', refreshToken, { ...REFRESH_COOKIE_OPTIONS, maxAge: refreshTokenTtlMs() });
+};
+
+const clearAuthCookies = (res) => {
+    res.clearCookie('token', COOKIE_OPTIONS);
+    res.clearCookie('refreshToken', REFRESH_COOKIE_OPTIONS);
 };
 
+// Body for browser and non-browser clients alike; cookies carry the same tokens
+const tokenBody = ({ token, refreshToken }) => ({ token, refreshToken, expiresIn: accessTokenTtlSeconds() });
+
+const getRefreshToken = (req) => req.body?.refreshToken || req.cookies?.refreshToken;
+
 // SIGNUP + AUTO-LOGIN (set cookie)
-router.post('/signup', async (req, res) => {
+router.post('/signup', rateLimitByIp({ name: 'signup', limit: 10, windowMs: 60 * MINUTE_MS }), validate({ body: SIGNUP_BODY }), async (req, res) => {
     const { email, password, name } = req.body;
     
     try {
-        // Validate required fields
-        if (!email || !password || !name) {
-            return res.status(400).json({ error: 'Email, password, and name are required' });
-        }
-
         // Check if user already exists
         const exists = await User.findOne({ email });
         if (exists) return res.status(400).json({ error: 'User already exists' });
@@ -29,18 +88,14 @@ router.post('/signup', async (req, res) => {
         const hashed = await bcrypt.hash(password, 10);
         const user = await User.create({ name, email, password: hashed });
         await user.save();
+        await ensurePersonalWorkspace(user._id, `${name}'s inventory`);
+        await sendVerificationEmail(user);
 
-        // Create token and set cookie
-        const token = createToken(user._id);
+        // Start a session and set cookies
+        const tokens = await createSession({ userId: user._id, ...clientInfo(req) });
+        setAuthCookies(res, tokens);
 
-        res.cookie('token', token, {
-            httpOnly: true,
-            secure: true,        // HTTPS only
-            sameSite: 'None',    // cross-site
-            maxAge: 3 * 24 * 60 * 60 * 1000 // 3 days
-        });
-
-        res.status(201).json({ message: 'User created & logged in', token: token, userId: user._id });
+        res.status(201).json({ message: 'User created & logged in', ...tokenBody(tokens), userId: user._id, emailVerified: false });
     } catch (err) {
         console.error('Signup error:', err);
         res.status(500).json({ error: 'Signup failed' });
@@ -48,25 +103,38 @@ router.post('/signup', async (req, res) => {
 });
 
 // LOGIN
-router.post('/login', async (req, res) => {
+// Per-IP throttling comes first; repeated wrong passwords then lock the account for a while.
+// Unknown emails are counted too, so lockouts don't reveal which accounts exist.
+router.post('/login', rateLimitByIp({ name: 'login', limit: () => loginLimits().ipLimit, windowMs: LOGIN_WINDOW_MS }), validate({ body: LOGIN_BODY }), async (req, res) => {
     const { email, password } = req.body;
+    const accountKey = `login:account:${email.toLowerCase()}`;
+    const { maxFailures, lockMs } = loginLimits();
+
     try {
-        const user = await User.findOne({ email });
-        if (!user) return res.status(400).json({ error: 'Invalid credentials' });
+        const locked = await getLockSeconds(accountKey);
+        if (locked > 0) {
+            return sendTooManyRequests(res, locked, `Too many failed logins. Try again in ${Math.ceil(locked / 60)} minute(s).`);
+        }
 
-        const match = await bcrypt.compare(password, user.password);
-        if (!match) return res.status(400).json({ error: 'Invalid credentials' });
+        const user = await User.findOne({ email });
+        const match = user ? await bcrypt.compare(password, user.password) : false;
+        if (!match) {
+            const { lockSeconds } = await recordHit(accountKey, { limit: maxFailures, windowMs: LOGIN_WINDOW_MS, lockMs });
+            if (lockSeconds > 0) {
+                return sendTooManyRequests(res, lockSeconds, `Too many failed logins. Try again in ${Math.ceil(lockSeconds / 60)} minute(s).`);
+            }
+            return res.status(400).json({ error: 'Invalid credentials' });
+        }
+        await resetKey(accountKey);
 
-        const token = createToken(user._id);
+        if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.emailVerified) {
+            return res.status(403).json({ error: 'Please verify your email address before logging in', emailVerified: false });
+        }
 
-        res.cookie('token', token, {
-            httpOnly: true,
-            secure: true,
-            sameSite: 'None',
-            maxAge: 3 * 24 * 60 * 60 * 1000
-        });
+        const tokens = await createSession({ userId: user._id, ...clientInfo(req) });
+        setAuthCookies(res, tokens);
 
-        res.status(200).json({ message: 'Logged in', token: token, userId: user._id });
+        res.status(200).json({ message: 'Logged in', ...tokenBody(tokens), userId: user._id });
     } catch (err) {
         console.error('Login error:', err);
         res.status(500).json({ error: 'Login failed' });
@@ -74,15 +142,9 @@ router.post('/login', async (req, res) => {
 });
 
 // VERIFY TOKEN
-router.get('/verify', async (req, res) => {
+router.get('/verify', requireAuth, async (req, res) => {
     try {
-        const token = req.headers.authorization?.split(' ')[1];
-        if (!token) {
-            return res.status(401).json({ error: 'No token provided' });
-        }
-
-        const decoded = jwt.verify(token, JWT_SECRET);
-        const user = await User.findById(decoded.id).select('-password');
+        const user = await User.findById(req.userId).select('-password');
 
         if (!user) {
             return res.status(401).json({ error: 'Invalid token' });
@@ -91,40 +153,220 @@ router.get('/verify', async (req, res) => {
         res.status(200).json({ user });
     } catch (err) {
         console.error('Token verification error:', err);
-        res.status(401).json({ error: 'Invalid token' });
+        res.status(500).json({ error: 'Token verification failed' });
     }
 });
 
 // GET USER DATA
-router.get('/me', async (req, res) => {
+router.get('/me', requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.userId).select('-password');
+
+        if (!user) {
+            return res.status(401).json({ error: 'User not found' });
+        }
+
+        res.status(200).json({ user });
+    } catch (err) {
+        console.error('Fetch user error:', err);
+        res.status(500).json({ error: 'Failed to fetch user' });
+    }
+});
+
+// VERIFY EMAIL (token from the signup email)
+router.post('/verify-email', validate({ body: VERIFY_EMAIL_BODY }), async (req, res) => {
     try {
-        const token = req.headers.authorization?.split(' ')[1];
-        if (!token) {
-            return res.status(401).json({ error: 'No token provided' });
+        const record = await consumeAuthToken({ token: req.body.token, purpose: 'verify_email' });
+        if (!record) {
+            return res.status(400).json({ error: 'Invalid or expired verification link' });
         }
 
-        const decoded = jwt.verify(token, JWT_SECRET);
-        const user = await User.findById(decoded.id).select('-password');
+        await User.updateOne({ _id: record.userId }, { emailVerified: true, emailVerifiedAt: new Date() });
+        res.status(200).json({ message: 'Email verified' });
+    } catch (err) {
+        console.error('Email verification error:', err);
+        res.status(500).json({ error: 'Email verification failed' });
+    }
+});
 
+// RESEND VERIFICATION EMAIL
+router.post('/resend-verification', requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.userId);
         if (!user) {
             return res.status(401).json({ error: 'User not found' });
         }
+        if (user.emailVerified) {
+            return res.status(400).json({ error: 'Email is already verified' });
+        }
 
-        res.status(200).json({ user });
+        await sendVerificationEmail(user);
+        res.status(200).json({ message: 'Verification email sent' });
     } catch (err) {
-        console.error('Token verification error:', err);
-        res.status(401).json({ error: 'Invalid token' });
+        console.error('Resend verification error:', err);
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+});
+
+// FORGOT PASSWORD (always answers the same, so it can't be used to find accounts)
+router.post('/forgot', rateLimitByIp({ name: 'forgot', limit: 5, windowMs: 60 * MINUTE_MS }), validate({ body: FORGOT_BODY }), async (req, res) => {
+    const { email } = req.body;
+
+    try {
+        const user = await User.findOne({ email });
+        if (user) {
+            await sendPasswordResetEmail(user);
+        }
+        res.status(200).json({ message: 'If an account exists for that email, a reset link has been sent' });
+    } catch (err) {
+        console.error('Forgot password error:', err);
+        res.status(500).json({ error: 'Failed to start password reset' });
+    }
+});
+
+// RESET PASSWORD (token from the reset email); signs out every session
+router.post('/reset', rateLimitByIp({ name: 'reset', limit: 10, windowMs: LOGIN_WINDOW_MS }), validate({ body: RESET_BODY }), async (req, res) => {
+    const { token, password } = req.body;
+
+    try {
+        const record = await consumeAuthToken({ token, purpose: 'reset_password' });
+        if (!record) {
+            return res.status(400).json({ error: 'Invalid or expired reset link' });
+        }
+
+        const hashed = await bcrypt.hash(password, 10);
+        // Receiving the reset email also proves the address
+        await User.updateOne(
+            { _id: record.userId },
+            { password: hashed, passwordChangedAt: new Date(), emailVerified: true }
+        );
+        await revokeAllSessions({ userId: record.userId, reason: 'password_reset' });
+
+        clearAuthCookies(res);
+        res.status(200).json({ message: 'Password reset. Please log in with your new password' });
+    } catch (err) {
+        console.error('Password reset error:', err);
+        res.status(500).json({ error: 'Password reset failed' });
+    }
+});
+
+// CHANGE PASSWORD (signed in); other sessions are signed out
+router.post('/change-password', requireAuth, validate({ body: CHANGE_PASSWORD_BODY }), async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    try {
+        const user = await User.findById(req.userId);
+        if (!user) {
+            return res.status(401).json({ error: 'User not found' });
+        }
+
+        const match = await bcrypt.compare(currentPassword, user.password);
+        if (!match) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+
+        user.password = await bcrypt.hash(newPassword, 10);
+        user.passwordChangedAt = new Date();
+        await user.save();
+        const revoked = await revokeAllSessions({ userId: user._id, exceptSessionId: req.sessionId, reason: 'password_changed' });
+
+        // Access tokens issued before the change are refused now, so this session gets a new one
+        const token = createToken(user._id, req.sessionId);
+        res.cookie('token', token, { ...COOKIE_OPTIONS, maxAge: accessTokenTtlSeconds() * 1000 });
+        res.status(200).json({ message: 'Password changed', otherSessionsRevoked: revoked, token, expiresIn: accessTokenTtlSeconds() });
+    } catch (err) {
+        console.error('Change password error:', err);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
+
+// REFRESH (rotate the refresh token and issue a new access token)
+router.post('/refresh', async (req, res) => {
+    try {
+        const result = await rotateSession(getRefreshToken(req), clientInfo(req));
+        if (!result.session) {
+            clearAuthCookies(res);
+            return res.status(result.status).json(result.body);
+        }
+
+        setAuthCookies(res, result);
+        res.status(200).json({ message: 'Token refreshed', ...tokenBody(result), userId: result.session.userId });
+    } catch (err) {
+        console.error('Token refresh error:', err);
+        res.status(500).json({ error: 'Token refresh failed' });
     }
 });
 
-// LOGOUT (clear cookie)
-router.post('/logout', (req, res) => {
-    res.clearCookie('token', {
-        httpOnly: true,
-        secure: true,
-        sameSite: 'None'
-    });
+// LOGOUT (revoke this session and clear cookies); works with an expired access token
+router.post('/logout', async (req, res) => {
+    try {
+        const session = await findSessionByRefreshToken(getRefreshToken(req));
+        if (session) {
+            await revokeSession({ userId: session.userId, sessionId: session._id, reason: 'logout' });
+        } else {
+            const token = getTokenFromRequest(req);
+            // The signature still proves which session this was, even after expiry
+            const decoded = token ? verifyToken(token, { ignoreExpiration: true }) : null;
+            if (decoded?.sid) {
+                await revokeSession({ userId: decoded.id, sessionId: decoded.sid, reason: 'logout' });
+            }
+        }
+    } catch (err) {
+        // An invalid access token just means there is nothing left to revoke
+        if (err.name !== 'JsonWebTokenError') {
+            console.error('Logout error:', err);
+        }
+    }
+
+    clearAuthCookies(res);
     res.status(200).json({ message: 'Logged out' });
 });
 
+// LIST ACTIVE SESSIONS
+router.get('/sessions', requireAuth, async (req, res) => {
+    try {
+        const sessions = await listSessions(req.userId, req.sessionId);
+        res.status(200).json(sessions);
+    } catch (err) {
+        console.error('Error fetching sessions:', err);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+// REVOKE ALL SESSIONS (?keepCurrent=true to stay signed in here)
+router.delete('/sessions', requireAuth, async (req, res) => {
+    try {
+        const keepCurrent = req.query.keepCurrent === 'true';
+        const revoked = await revokeAllSessions({
+            userId: req.userId,
+            exceptSessionId: keepCurrent ? req.sessionId : undefined,
+            reason: 'revoked_all'
+        });
+
+        if (!keepCurrent) clearAuthCookies(res);
+        res.status(200).json({ message: 'Sessions revoked', revoked });
+    } catch (err) {
+        console.error('Error revoking sessions:', err);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+});
+
+// REVOKE ONE SESSION
+router.delete('/sessions/:sessionId', requireAuth, async (req, res) => {
+    const { sessionId } = req.params;
+
+    try {
+        const revoked = await revokeSession({ userId: req.userId, sessionId, reason: 'revoked' });
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        if (sessionId === req.sessionId) clearAuthCookies(res);
+        res.status(200).json({ message: 'Session revoked' });
+    } catch (err) {
+        console.error('Error revoking session:', err);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
 export default router;
@@ -0,0 +1,109 @@
+import express from 'express';
+import Stock from '../model/Stock.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireWorkspaceRole } from '../middleware/workspace.js';
+import { validate } from '../middleware/validate.js';
+import { findProductByBarcode, findPack } from '../services/product.js';
+import { receiveStock, StockError } from '../services/stock.js';
+import { normalizeBarcode } from '../utils/barcode.js';
+import { roundQty } from '../utils/units.js';
+
+const router = express.Router();
+
+const BARCODE_PARAMS = { properties: { barcode: { type: 'string', format: 'barcode' } } };
+// The same purchase fields as /stock/add, plus the scanned barcode
+const SCAN_BODY = {
+    required: ['barcode', 'expiryDate'],
+    properties: {
+        barcode: { type: 'string', format: 'barcode' },
+        expiryDate: { type: 'string', format: 'date' },
+        qty: { type: 'numeric', exclusiveMinimum: 0 },
+        unit: { type: 'string', format: 'unit' },
+        packs: { type: 'numeric', exclusiveMinimum: 0 },
+        pack: { type: 'string', minLength: 1 },
+        locationId: { type: 'string', format: 'objectId' },
+        unitCost: { type: 'numeric', minimum: 0 },
+        supplierId: { type: 'string', format: 'objectId' }
+    }
+};
+
+// Quantity left across the product's live batches
+const onHandQty = async (workspaceId, productId) => {
+    const stock = await Stock.findOne({ workspaceId, productId });
+    return roundQty((stock?.stockDetail || [])
+        .filter(batch => !batch.deletedAt)
+        .reduce((sum, batch) => sum + batch.qty, 0));
+};
+
+// LOOKUP BY BARCODE
+router.get('/:id/product/barcode/:barcode', requireAuth, requireWorkspaceRole('viewer'), validate({ params: BARCODE_PARAMS }), async (req, res) => {
+    const { id, barcode } = req.params;
+
+    try {
+        const product = await findProductByBarcode(id, barcode);
+        if (!product) {
+            return res.status(404).json({ error: 'No product has this barcode', barcode: normalizeBarcode(barcode) });
+        }
+
+        res.status(200).json({ product, qty: await onHandQty(id, product._id) });
+    } catch (error) {
+        console.error('Error looking up barcode:', error);
+        res.status(500).json({ error: 'Failed to look up barcode' });
+    }
+});
+
+// SCAN TO STOCK: adds a batch to the matching product like /stock/add, or asks the client to create one.
+// Without qty or packs one item is added: one pack when the scan names a pack or the product has only one
+router.post('/:id/scan', requireAuth, requireWorkspaceRole('editor'), validate({ body: SCAN_BODY }), async (req, res) => {
+    const { id } = req.params;
+    const { barcode, expiryDate, qty, unit, packs, pack, locationId, unitCost, supplierId } = req.body;
+
+    try {
+        const product = await findProductByBarcode(id, barcode);
+        if (!product) {
+            return res.status(200).json({
+                matched: false,
+                action: 'create_product',
+                barcode: normalizeBarcode(barcode),
+                message: 'No product has this barcode yet. Create one with this barcode, then scan again.'
+            });
+        }
+        if (product.archived) {
+            return res.status(409).json({ error: `"${product.name}" is archived. Restore it before adding stock`, productId: product._id });
+        }
+
+        const amount = qty === undefined && packs === undefined
+            ? (pack || findPack(product) ? { packs: 1 } : { qty: 1, unit: undefined })
+            : { qty, packs };
+
+        const result = await receiveStock({
+            workspaceId: id,
+            productId: product._id,
+            expiryDate,
+            unit,
+            pack,
+            ...amount,
+            locationId,
+            unitCost,
+            supplierId,
+            by: req.userId
+        });
+        res.status(result.created ? 201 : 200).json({
+            matched: true,
+            message: `Added ${result.qty} ${product.measure} to ${product.name}`,
+            product,
+            qty: result.qty,
+            unit: product.measure,
+            unitCost: result.unitCost,
+            batch: result.batch
+        });
+    } catch (error) {
+        if (error instanceof StockError) {
+            return res.status(error.status).json({ message: error.message, ...error.details });
+        }
+        console.error('Error scanning barcode:', error);
+        res.status(500).json({ error: 'Failed to add scanned stock' });
+    }
+});
+
+export default router;
@@ -0,0 +1,391 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Conversation from '../model/Conversation.js';
+import Proposal from '../model/Proposal.js';
+import { requireAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { loadConversation, buildHistory } from '../services/conversation.js';
+import { READ_INTENTS, WRITE_INTENTS, runReadIntent, validateWriteIntent, runWriteIntent } from '../services/chatIntents.js';
+import { createProposal, formatProposal, expireIfStale, noteInConversation } from '../services/proposals.js';
+import { getLlmProvider, getGenerationConfig } from '../services/llm/index.js';
+import { parseIntent } from '../services/intentSchema.js';
+import { getMembership, hasRole } from '../services/workspace.js';
+import { findProductById } from '../services/product.js';
+import { VALID_MEASURES } from '../utils/validation.js';
+
+const router = express.Router();
+
+const objectIdField = { type: 'string', format: 'objectId' };
+const CHAT_BODY = {
+    required: ['message'],
+    properties: {
+        message: { type: 'string', minLength: 1 },
+        conversationId: objectIdField,
+        workspaceId: objectIdField,
+        productId: objectIdField,
+        requireConfirmation: { type: 'boolean' }
+    }
+};
+
+// Intent formats shared by every prompt; the product page adds add_stock and lets names be left out
+const buildPrompt = ({ productId, packs = [], history, message }) => {
+    const measures = VALID_MEASURES.join(', ');
+    const nameHint = productId ? ' (leave out name for the current product)' : '';
+    const packNames = packs.map(pack => `"${pack.name}" (${pack.size} each)`).join(', ');
+
+    const rules = [
+        productId && '- For adding stock to the current product: respond with {"intent":"add_stock","data":[{"expiryDate":"YYYY-MM-DD","qty":number}]}',
+        productId && packs.length > 0 && `- When the user counts packs (e.g. "3 packs"), use {"expiryDate":"YYYY-MM-DD","packs":number,"pack":"pack name"} instead of qty. This product's packs: ${packNames}`,
+        `- For adding products: respond with {"intent":"add_product","data":[{"name":"product name","description":"detailed description","measure":"${VALID_MEASURES.join('|')}"}]}`,
+        `- For using stock: respond with {"intent":"use_stock","data":{"qty":number,"name":"product name"}}${nameHint}`,
+        `- For how much of a product they have: respond with {"intent":"product_quantity","data":{"name":"product name"}}${nameHint}`,
+        '- For listing everything in stock: respond with {"intent":"list_stock"}',
+        '- For what is expiring soon: respond with {"intent":"check_expiring","data":{"days":number}}',
+        '- For regular chat: respond with {"intent":"chat","reply":"your response"}',
+        '- Never answer questions about quantities or expiry dates yourself; use the intents above so real data is looked up',
+        `- For products, measure must be one of: ${measures}`,
+        '- Quantities are numbers, not strings; dates are YYYY-MM-DD'
+    ].filter(Boolean);
+
+    return `You are a Restocker AI inventory assistant. Your job is to help users manage their inventory by detecting if they want to ${productId ? 'add stock for this product, ' : ''}add new products, use up stock, ask about what they have in stock, or just have a conversation.
+
+CRITICAL: You MUST respond with ONLY one valid JSON object. No explanations, no additional text.
+
+IMPORTANT RULES:
+${rules.join('\n')}
+
+${history}User message: ${message}`;
+};
+
+const buildRetryPrompt = (prompt, aiText, errors) => `${prompt}
+
+Your previous response was:
+${aiText}
+
+It was rejected because:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with ONLY a corrected JSON object.`;
+
+// AI Chat endpoint
+router.post('/ai', requireAuth, validate({ body: CHAT_BODY }), async (req, res) => {
+    try {
+        const { message, conversationId, requireConfirmation } = req.body;
+        const userId = req.userId;
+
+        let provider;
+        try {
+            provider = getLlmProvider();
+        } catch (configError) {
+            console.error('LLM provider not configured:', configError.message);
+            return res.status(500).json({ reply: "AI service not configured" });
+        }
+
+        const conversation = await loadConversation({
+            userId,
+            workspaceId: req.body.workspaceId || userId,
+            conversationId,
+            productId: req.body.productId,
+            message
+        });
+        if (!conversation) {
+            return res.status(404).json({ reply: "Conversation not found" });
+        }
+
+        // A resumed conversation keeps working on its workspace and product
+        const workspaceId = conversation.workspaceId?.toString() || userId;
+        const productId = req.body.productId || conversation.productId?.toString();
+
+        const membership = await getMembership(workspaceId, userId);
+        if (!membership) {
+            return res.status(403).json({ reply: "You do not have access to this workspace" });
+        }
+
+        const history = buildHistory(conversation.messages);
+
+        let aiData;
+
+        // Every reply from here on is saved to the conversation along with the parsed action
+        const respond = async (body) => {
+            const action = aiData?.intent ? { intent: aiData.intent, data: aiData.data } : undefined;
+            conversation.messages.push(
+                { role: 'user', content: message },
+                { role: 'assistant', content: body.reply, action }
+            );
+            try {
+                await conversation.save();
+            } catch (saveError) {
+                console.error('Failed to save conversation:', saveError);
+            }
+            return res.json({ ...body, conversationId: conversation._id });
+        };
+
+        const currentProduct = productId ? await findProductById(workspaceId, productId) : null;
+        const prompt = buildPrompt({ productId, packs: currentProduct?.packs, history, message });
+        const generationConfig = { ...getGenerationConfig(), json: true };
+
+        let aiText = await provider.generate({ prompt, ...generationConfig });
+        if (!aiText) {
+            return respond({ reply: "I couldn't generate a response. Please try again." });
+        }
+
+        let parsed = parseIntent(aiText);
+        if (!parsed.ok) {
+            // One re-ask, telling the model exactly what was wrong
+            console.error('Invalid AI response, retrying:', parsed.errors);
+            aiText = await provider.generate({ prompt: buildRetryPrompt(prompt, aiText, parsed.errors), ...generationConfig });
+            parsed = parseIntent(aiText);
+        }
+
+        if (!parsed.ok) {
+            console.error('Invalid AI response after retry:', parsed.errors);
+            return respond({
+                reply: "I had trouble understanding your request. Please try rephrasing it or be more specific about what you want to do.",
+                error: process.env.NODE_ENV === 'development' ? parsed.errors : undefined
+            });
+        }
+
+        aiData = parsed.value;
+
+        if (aiData.intent === "chat") {
+            return respond({ reply: aiData.reply });
+        }
+
+        // Read intents run against real Product/Stock data
+        if (READ_INTENTS.includes(aiData.intent)) {
+            try {
+                const reply = await runReadIntent({ workspaceId, productId, aiData });
+                return respond({ reply });
+            } catch (dbError) {
+                console.error(`Database error in ${aiData.intent}:`, dbError);
+                return respond({ reply: "I couldn't look that up right now. Please try again." });
+            }
+        }
+
+        if (WRITE_INTENTS.includes(aiData.intent)) {
+            if (!hasRole(membership.role, 'editor')) {
+                return respond({ reply: "You can view this workspace but not change it. Ask an owner for the editor role." });
+            }
+
+            const invalid = validateWriteIntent({ intent: aiData.intent, data: aiData.data, productId });
+            if (invalid) {
+                return respond({ reply: invalid });
+            }
+
+            // Confirm mode: hold the change as a proposal instead of saving it
+            if (requireConfirmation) {
+                const proposal = await createProposal({
+                    userId,
+                    workspaceId,
+                    conversationId: conversation._id,
+                    productId,
+                    intent: aiData.intent,
+                    data: aiData.data
+                });
+                return respond({ reply: `Please confirm: ${proposal.summary}`, proposal: formatProposal(proposal) });
+            }
+
+            const { reply } = await runWriteIntent({ workspaceId, userId, productId, intent: aiData.intent, data: aiData.data });
+            return respond({ reply });
+        }
+
+        return respond({ reply: "I didn't understand your request." });
+
+    } catch (error) {
+        console.error("Chat AI Error:", error.message);
+        console.error("Error details:", {
+            message: error.message,
+            status: error.status ?? error.response?.status,
+            statusText: error.response?.statusText,
+            // Don't log full response to avoid exposing sensitive data
+            hasResponse: !!error.response,
+            hasData: !!error.response?.data
+        });
+        
+        // Return a user-friendly error message
+        res.status(500).json({ 
+            reply: "Sorry, I encountered an error. Please try again later.",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// LIST CONVERSATIONS (newest first, ?productId= to filter)
+router.get('/conversations', requireAuth, async (req, res) => {
+    try {
+        // aggregate() does not cast, so ids must be ObjectIds here
+        const match = { userId: new mongoose.Types.ObjectId(req.userId) };
+        if (req.query.productId) {
+            if (!mongoose.isValidObjectId(req.query.productId)) {
+                return res.status(400).json({ error: 'Invalid product ID' });
+            }
+            match.productId = new mongoose.Types.ObjectId(req.query.productId);
+        }
+
+        const conversations = await Conversation.aggregate([
+            { $match: match },
+            { $sort: { updatedAt: -1 } },
+            {
+                $project: {
+                    title: 1,
+                    productId: 1,
+                    createdAt: 1,
+                    updatedAt: 1,
+                    messageCount: { $size: '$messages' },
+                    lastMessage: { $arrayElemAt: ['$messages.content', -1] }
+                }
+            }
+        ]);
+        res.status(200).json(conversations);
+    } catch (error) {
+        console.error('Error fetching conversations:', error);
+        res.status(500).json({ error: 'Failed to fetch conversations' });
+    }
+});
+
+// GET ONE CONVERSATION WITH ITS MESSAGES (resume by sending its id to /chat/ai)
+router.get('/conversations/:conversationId', requireAuth, async (req, res) => {
+    const { conversationId } = req.params;
+
+    try {
+        if (!mongoose.isValidObjectId(conversationId)) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        const conversation = await Conversation.findOne({ _id: conversationId, userId: req.userId });
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        res.status(200).json(conversation);
+    } catch (error) {
+        console.error('Error fetching conversation:', error);
+        res.status(500).json({ error: 'Failed to fetch conversation' });
+    }
+});
+
+// DELETE A CONVERSATION
+router.delete('/conversations/:conversationId', requireAuth, async (req, res) => {
+    const { conversationId } = req.params;
+
+    try {
+        if (!mongoose.isValidObjectId(conversationId)) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        const result = await Conversation.deleteOne({ _id: conversationId, userId: req.userId });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        res.status(200).json({ message: 'Conversation deleted' });
+    } catch (error) {
+        console.error('Error deleting conversation:', error);
+        res.status(500).json({ error: 'Failed to delete conversation' });
+    }
+});
+
+// LIST PENDING PROPOSALS
+router.get('/proposals', requireAuth, async (req, res) => {
+    try {
+        const proposals = await Proposal.find({ userId: req.userId, status: 'pending', expiresAt: { $gt: new Date() } })
+            .sort({ createdAt: -1 });
+        res.status(200).json(proposals.map(formatProposal));
+    } catch (error) {
+        console.error('Error fetching proposals:', error);
+        res.status(500).json({ error: 'Failed to fetch proposals' });
+    }
+});
+
+// Loads a pending proposal for the caller; otherwise returns the status and body explaining why not
+const findPendingProposal = async (proposalId, userId) => {
+    const proposal = mongoose.isValidObjectId(proposalId)
+        ? await Proposal.findOne({ _id: proposalId, userId })
+        : null;
+
+    if (!proposal) {
+        return { status: 404, body: { error: 'Proposal not found' } };
+    }
+    if (await expireIfStale(proposal)) {
+        return { status: 410, body: { error: 'Proposal has expired', proposal: formatProposal(proposal) } };
+    }
+    if (proposal.status !== 'pending') {
+        return { status: 409, body: { error: `Proposal is already ${proposal.status}`, proposal: formatProposal(proposal) } };
+    }
+    return { proposal };
+};
+
+// CONFIRM A PROPOSAL (optionally with edited data) AND SAVE IT
+router.post('/proposals/:proposalId/confirm', requireAuth, async (req, res) => {
+    try {
+        const { proposal, status, body } = await findPendingProposal(req.params.proposalId, req.userId);
+        if (!proposal) {
+            return res.status(status).json(body);
+        }
+
+        // Roles may have changed since the proposal was made
+        const membership = await getMembership(proposal.workspaceId, req.userId);
+        if (!membership || !hasRole(membership.role, 'editor')) {
+            return res.status(403).json({ error: 'You no longer have edit access to this workspace' });
+        }
+
+        const data = req.body.data ?? proposal.data;
+        const invalid = validateWriteIntent({ intent: proposal.intent, data, productId: proposal.productId });
+        if (invalid) {
+            return res.status(400).json({ reply: invalid, proposal: formatProposal(proposal) });
+        }
+
+        // Claim the proposal first so a double-click can't save it twice
+        const claimed = await Proposal.findOneAndUpdate(
+            { _id: proposal._id, status: 'pending' },
+            { status: 'confirmed', resolvedAt: new Date(), data },
+            { new: true }
+        );
+        if (!claimed) {
+            return res.status(409).json({ error: 'Proposal was already resolved' });
+        }
+
+        const { ok, reply } = await runWriteIntent({
+            workspaceId: claimed.workspaceId.toString(),
+            userId: req.userId,
+            productId: claimed.productId?.toString(),
+            intent: claimed.intent,
+            data
+        });
+
+        // Nothing was saved, so leave the proposal open for another edit
+        if (!ok) {
+            claimed.status = 'pending';
+            claimed.resolvedAt = undefined;
+            await claimed.save();
+            return res.status(400).json({ reply, proposal: formatProposal(claimed) });
+        }
+
+        claimed.result = reply;
+        await claimed.save();
+        await noteInConversation(claimed, reply);
+        res.status(200).json({ reply, proposal: formatProposal(claimed) });
+    } catch (error) {
+        console.error('Error confirming proposal:', error);
+        res.status(500).json({ error: 'Failed to confirm proposal' });
+    }
+});
+
+// REJECT A PROPOSAL
+router.post('/proposals/:proposalId/reject', requireAuth, async (req, res) => {
+    try {
+        const { proposal, status, body } = await findPendingProposal(req.params.proposalId, req.userId);
+        if (!proposal) {
+            return res.status(status).json(body);
+        }
+
+        proposal.status = 'rejected';
+        proposal.resolvedAt = new Date();
+        await proposal.save();
+        await noteInConversation(proposal, 'Okay, I discarded that change.');
+        res.status(200).json({ reply: 'Change discarded.', proposal: formatProposal(proposal) });
+    } catch (error) {
+        console.error('Error rejecting proposal:', error);
+        res.status(500).json({ error: 'Failed to reject proposal' });
+    }
+});
+
+export default router;
@@ -0,0 +1,70 @@
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { requireWorkspaceRole } from '../middleware/workspace.js';
+import { importInventory, exportInventory, rowsFromJson, CSV_COLUMNS } from '../services/importExport.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+
+const router = express.Router();
+
+const MAX_ROWS = 5000;
+
+// CSV arrives as a raw text body, JSON as parsed rows; both may be larger than other requests
+const IMPORT_LIMIT = '2mb';
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_LIMIT });
+const jsonBody = express.json({ limit: IMPORT_LIMIT });
+
+// BULK IMPORT (?dryRun=true validates without saving)
+router.post('/:id/import', requireAuth, requireWorkspaceRole('editor'), csvBody, jsonBody, async (req, res) => {
+    const { id } = req.params;
+    const dryRun = req.query.dryRun === 'true';
+
+    try {
+        const rows = typeof req.body === 'string' ? parseCsv(req.body) : rowsFromJson(req.body);
+        if (!rows) {
+            return res.status(400).json({ error: 'Send CSV (text/csv) or JSON as an array of rows, { rows } or { products }' });
+        }
+        if (rows.length === 0) {
+            return res.status(400).json({ error: 'No rows to import' });
+        }
+        if (rows.length > MAX_ROWS) {
+            return res.status(400).json({ error: `Too many rows. Import at most ${MAX_ROWS} at a time` });
+        }
+
+        const result = await importInventory({ workspaceId: id, rows, dryRun, by: req.userId });
+        if (!result.ok) {
+            return res.status(400).json({ error: 'Some rows are invalid; nothing was imported', ...result });
+        }
+
+        res.status(dryRun ? 200 : 201).json({ message: dryRun ? 'Dry run passed' : 'Import completed', ...result });
+    } catch (error) {
+        console.error('Error importing inventory:', error);
+        res.status(500).json({ error: 'Failed to import inventory' });
+    }
+});
+
+// EXPORT (?format=json|csv)
+router.get('/:id/export', requireAuth, requireWorkspaceRole('viewer'), async (req, res) => {
+    const { id } = req.params;
+    const format = req.query.format || 'json';
+
+    try {
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({ error: 'format must be json or csv' });
+        }
+
+        const { products, rows } = await exportInventory(id);
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', 'attachment; filename="restocker-export.csv"');
+            return res.status(200).send(toCsv(CSV_COLUMNS, rows));
+        }
+
+        res.status(200).json({ exportedAt: new Date(), products });
+    } catch (error) {
+        console.error('Error exporting inventory:', error);
+        res.status(500).json({ error: 'Failed to export inventory' });
+    }
+});
+
+export default router;
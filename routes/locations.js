@@ -0,0 +1,118 @@
+import express from 'express';
+import Location from '../model/Location.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireWorkspaceRole } from '../middleware/workspace.js';
+import { validate } from '../middleware/validate.js';
+import { findLocation, countBatchesByLocation, unassignLocation } from '../services/location.js';
+
+const router = express.Router();
+
+const LOCATION_PARAMS = { properties: { locationId: { type: 'string', format: 'objectId' } } };
+const locationFields = {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    description: { type: 'string', maxLength: 500 }
+};
+const LOCATION_BODY = { required: ['name'], properties: locationFields };
+const LOCATION_UPDATE_BODY = { properties: locationFields };
+
+const isDuplicateName = (error) => error?.code === 11000;
+
+const formatLocation = (location, batches = 0) => ({
+    id: location._id,
+    name: location.name,
+    description: location.description,
+    batches,
+    createdAt: location.createdAt
+});
+
+// LIST LOCATIONS with how many live batches each holds
+router.get('/:id/locations', requireAuth, requireWorkspaceRole('viewer'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const [locations, counts] = await Promise.all([
+            Location.find({ workspaceId: id }).collation({ locale: 'en', strength: 2 }).sort({ name: 1 }),
+            countBatchesByLocation(id)
+        ]);
+        res.status(200).json({
+            locations: locations.map(location => formatLocation(location, counts.get(location._id.toString()))),
+            unassignedBatches: counts.get('none') || 0
+        });
+    } catch (error) {
+        console.error('Error fetching locations:', error);
+        res.status(500).json({ error: 'Failed to fetch locations' });
+    }
+});
+
+// CREATE A LOCATION
+router.post('/:id/locations', requireAuth, requireWorkspaceRole('editor'), validate({ body: LOCATION_BODY }), async (req, res) => {
+    const { id } = req.params;
+    const { name, description } = req.body;
+
+    try {
+        const location = await Location.create({ workspaceId: id, name, description });
+        res.status(201).json(formatLocation(location));
+    } catch (error) {
+        if (isDuplicateName(error)) {
+            return res.status(409).json({ error: 'A location with this name already exists' });
+        }
+        console.error('Error creating location:', error);
+        res.status(500).json({ error: 'Failed to create location' });
+    }
+});
+
+// RENAME OR DESCRIBE A LOCATION
+router.put('/:id/locations/:locationId', requireAuth, requireWorkspaceRole('editor'), validate({ params: LOCATION_PARAMS, body: LOCATION_UPDATE_BODY }), async (req, res) => {
+    const { id, locationId } = req.params;
+    const { name, description } = req.body;
+
+    try {
+        if (name === undefined && description === undefined) {
+            return res.status(400).json({ error: 'Provide name or description' });
+        }
+
+        const location = await findLocation(id, locationId);
+        if (!location) {
+            return res.status(404).json({ error: 'Location not found' });
+        }
+
+        if (name !== undefined) location.name = name;
+        if (description !== undefined) location.description = description === null ? undefined : description;
+        await location.save();
+        res.status(200).json(formatLocation(location));
+    } catch (error) {
+        if (isDuplicateName(error)) {
+            return res.status(409).json({ error: 'A location with this name already exists' });
+        }
+        console.error('Error updating location:', error);
+        res.status(500).json({ error: 'Failed to update location' });
+    }
+});
+
+// DELETE A LOCATION (refused while it holds stock unless ?unassign=true)
+router.delete('/:id/locations/:locationId', requireAuth, requireWorkspaceRole('editor'), validate({ params: LOCATION_PARAMS }), async (req, res) => {
+    const { id, locationId } = req.params;
+    const unassign = req.query.unassign === 'true';
+
+    try {
+        const location = await findLocation(id, locationId);
+        if (!location) {
+            return res.status(404).json({ error: 'Location not found' });
+        }
+
+        const batches = (await countBatchesByLocation(id)).get(location._id.toString()) || 0;
+        if (batches > 0 && !unassign) {
+            return res.status(409).json({ error: 'Location still holds stock. Move it first or pass ?unassign=true', batches });
+        }
+
+        // Empty and deleted batches may still point here; clear those too
+        await unassignLocation(id, location._id);
+        await location.deleteOne();
+        res.status(200).json({ message: 'Location deleted', unassignedBatches: batches });
+    } catch (error) {
+        console.error('Error deleting location:', error);
+        res.status(500).json({ error: 'Failed to delete location' });
+    }
+});
+
+export default router;
@@ -0,0 +1,27 @@
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { requireWorkspaceRole } from '../middleware/workspace.js';
+import { buildReorderList, DEFAULT_LOOKBACK_DAYS, DEFAULT_COVER_DAYS } from '../services/reorder.js';
+
+const router = express.Router();
+
+// REORDER SUGGESTIONS
+router.get('/:id/reorder', requireAuth, requireWorkspaceRole('viewer'), async (req, res) => {
+    const { id } = req.params;
+    const lookbackDays = req.query.lookbackDays === undefined ? DEFAULT_LOOKBACK_DAYS : Number(req.query.lookbackDays);
+    const coverDays = req.query.coverDays === undefined ? DEFAULT_COVER_DAYS : Number(req.query.coverDays);
+
+    try {
+        if (!Number.isInteger(lookbackDays) || lookbackDays <= 0 || !Number.isInteger(coverDays) || coverDays <= 0) {
+            return res.status(400).json({ error: 'lookbackDays and coverDays must be positive whole numbers' });
+        }
+
+        const items = await buildReorderList(id, { lookbackDays, coverDays });
+        res.status(200).json({ lookbackDays, coverDays, items });
+    } catch (error) {
+        console.error('Error building reorder list:', error);
+        res.status(500).json({ error: 'Failed to build reorder list' });
+    }
+});
+
+export default router;
@@ -0,0 +1,217 @@
+import express from 'express';
+import ShoppingList from '../model/ShoppingList.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireWorkspaceRole } from '../middleware/workspace.js';
+import { validate } from '../middleware/validate.js';
+import { syncShoppingList, getShoppingList, formatShoppingList, markItemBought } from '../services/shoppingList.js';
+import { findProductById } from '../services/product.js';
+import { StockError } from '../services/stock.js';
+
+const router = express.Router();
+
+const objectIdField = { type: 'string', format: 'objectId' };
+const positiveQty = { type: 'numeric', exclusiveMinimum: 0 };
+
+const ITEM_PARAMS = { properties: { itemId: objectIdField } };
+const ITEM_BODY = {
+    properties: {
+        productId: objectIdField,
+        name: { type: 'string', minLength: 1, maxLength: 200 },
+        qty: positiveQty,
+        note: { type: 'string', maxLength: 500 }
+    }
+};
+const ITEM_UPDATE_BODY = {
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 200 },
+        qty: positiveQty,
+        note: { type: 'string', maxLength: 500 }
+    }
+};
+// The same purchase fields as /stock/add; qty defaults to the item's quantity
+const BOUGHT_BODY = {
+    required: ['expiryDate'],
+    properties: {
+        expiryDate: { type: 'string', format: 'date' },
+        qty: positiveQty,
+        unit: { type: 'string', format: 'unit' },
+        packs: positiveQty,
+        pack: { type: 'string', minLength: 1 },
+        locationId: objectIdField,
+        unitCost: { type: 'numeric', minimum: 0 },
+        supplierId: objectIdField,
+        productId: objectIdField
+    }
+};
+
+const isOpenOrDismissed = (item) => item.status === 'open' || item.status === 'dismissed';
+
+// GET THE LIST (refreshed from the reorder suggestions first)
+router.get('/:id/shopping-list', requireAuth, requireWorkspaceRole('viewer'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const list = await syncShoppingList(id);
+        res.status(200).json(await formatShoppingList(list));
+    } catch (error) {
+        console.error('Error fetching shopping list:', error);
+        res.status(500).json({ error: 'Failed to fetch shopping list' });
+    }
+});
+
+// ADD AN ITEM BY HAND (a product, or free text for something not in the catalogue)
+router.post('/:id/shopping-list/items', requireAuth, requireWorkspaceRole('editor'), validate({ body: ITEM_BODY }), async (req, res) => {
+    const { id } = req.params;
+    const { productId, name, qty, note } = req.body;
+
+    try {
+        if (!productId && !name) {
+            return res.status(400).json({ error: 'Provide productId or name' });
+        }
+
+        const product = productId ? await findProductById(id, productId) : null;
+        if (productId && !product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        const list = await getShoppingList(id);
+        if (product) {
+            const existing = list.items.find(item => item.productId?.toString() === productId && isOpenOrDismissed(item));
+            if (existing?.status === 'open') {
+                return res.status(409).json({ error: `${product.name} is already on the list`, itemId: existing._id });
+            }
+            // Adding by hand overrides an earlier dismissal
+            if (existing) list.items.pull(existing._id);
+        }
+
+        list.items.push({
+            productId: product?._id,
+            name: product?.name || name,
+            qty: qty === undefined ? undefined : Number(qty),
+            note,
+            source: 'manual',
+            addedBy: req.userId
+        });
+        await list.save();
+
+        const { items } = await formatShoppingList(list);
+        res.status(201).json({ message: 'Item added', item: items[items.length - 1] });
+    } catch (error) {
+        console.error('Error adding shopping list item:', error);
+        res.status(500).json({ error: 'Failed to add item' });
+    }
+});
+
+// EDIT AN ITEM (an edited auto item becomes manual and stops following the reorder list)
+router.put('/:id/shopping-list/items/:itemId', requireAuth, requireWorkspaceRole('editor'), validate({ params: ITEM_PARAMS, body: ITEM_UPDATE_BODY }), async (req, res) => {
+    const { id, itemId } = req.params;
+    const fields = ['name', 'qty', 'note'].filter(field => field in req.body);
+
+    try {
+        if (fields.length === 0) {
+            return res.status(400).json({ error: 'Provide at least one of name, qty or note' });
+        }
+        if (req.body.name === null) {
+            return res.status(400).json({ error: 'Name cannot be cleared' });
+        }
+
+        const list = await ShoppingList.findOne({ workspaceId: id, 'items._id': itemId });
+        const item = list?.items.id(itemId);
+        if (!item || item.status !== 'open') {
+            return res.status(404).json({ error: 'Open shopping list item not found' });
+        }
+        if (req.body.name !== undefined && item.productId) {
+            return res.status(400).json({ error: 'Rename the product instead; this item follows its name' });
+        }
+
+        fields.forEach(field => {
+            item[field] = req.body[field] === null ? undefined : req.body[field];
+        });
+        item.source = 'manual';
+        item.basis = undefined;
+        await list.save();
+        res.status(200).json({ message: 'Item updated', item });
+    } catch (error) {
+        console.error('Error updating shopping list item:', error);
+        res.status(500).json({ error: 'Failed to update item' });
+    }
+});
+
+// REMOVE AN ITEM (an auto item is dismissed, so it doesn't come straight back)
+router.delete('/:id/shopping-list/items/:itemId', requireAuth, requireWorkspaceRole('editor'), validate({ params: ITEM_PARAMS }), async (req, res) => {
+    const { id, itemId } = req.params;
+
+    try {
+        const list = await ShoppingList.findOne({ workspaceId: id, 'items._id': itemId });
+        const item = list?.items.id(itemId);
+        if (!item || item.status === 'dismissed') {
+            return res.status(404).json({ error: 'Shopping list item not found' });
+        }
+
+        if (item.source === 'auto' && item.status === 'open') {
+            item.status = 'dismissed';
+        } else {
+            list.items.pull(item._id);
+        }
+        await list.save();
+        res.status(200).json({ message: 'Item removed' });
+    } catch (error) {
+        console.error('Error removing shopping list item:', error);
+        res.status(500).json({ error: 'Failed to remove item' });
+    }
+});
+
+// MARK BOUGHT: adds the purchase as a stock batch, like /stock/add
+router.post('/:id/shopping-list/items/:itemId/bought', requireAuth, requireWorkspaceRole('editor'), validate({ params: ITEM_PARAMS, body: BOUGHT_BODY }), async (req, res) => {
+    const { id, itemId } = req.params;
+    const { expiryDate, qty, unit, packs, pack, locationId, unitCost, supplierId, productId } = req.body;
+
+    try {
+        const purchase = {
+            expiryDate,
+            qty,
+            unit,
+            packs,
+            pack,
+            locationId,
+            unitCost,
+            supplierId,
+            productId
+        };
+
+        const result = await markItemBought({ workspaceId: id, itemId, purchase, by: req.userId });
+        if (result.status) {
+            return res.status(result.status).json(result.body);
+        }
+
+        res.status(201).json({
+            message: 'Item bought and stock added',
+            item: result.item,
+            qty: result.qty,
+            unit: result.product.measure,
+            unitCost: result.unitCost,
+            batch: result.batch
+        });
+    } catch (error) {
+        if (error instanceof StockError) {
+            return res.status(error.status).json({ message: error.message, ...error.details });
+        }
+        console.error('Error marking item bought:', error);
+        res.status(500).json({ error: 'Failed to mark item bought' });
+    }
+});
+
+// CLEAR BOUGHT ITEMS
+router.delete('/:id/shopping-list/bought', requireAuth, requireWorkspaceRole('editor'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        await ShoppingList.updateOne({ workspaceId: id }, { $pull: { items: { status: 'bought' } }, $inc: { __v: 1 } });
+        res.status(200).json({ message: 'Bought items cleared' });
+    } catch (error) {
+        console.error('Error clearing bought items:', error);
+        res.status(500).json({ error: 'Failed to clear bought items' });
+    }
+});
+
+export default router;
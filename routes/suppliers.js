@@ -0,0 +1,116 @@
+import express from 'express';
+import Supplier from '../model/Supplier.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireWorkspaceRole } from '../middleware/workspace.js';
+import { validate } from '../middleware/validate.js';
+import { findSupplier, getSupplierTotals } from '../services/supplier.js';
+
+const router = express.Router();
+
+const SUPPLIER_PARAMS = { properties: { supplierId: { type: 'string', format: 'objectId' } } };
+const supplierFields = {
+    name: { type: 'string', minLength: 1, maxLength: 200 },
+    email: { type: 'string', format: 'email' },
+    phone: { type: 'string', maxLength: 50 },
+    notes: { type: 'string', maxLength: 1000 }
+};
+const SUPPLIER_BODY = { required: ['name'], properties: supplierFields };
+const SUPPLIER_UPDATE_BODY = { properties: supplierFields };
+
+const isDuplicateName = (error) => error?.code === 11000;
+
+const formatSupplier = (supplier, totals = { batches: 0, spent: 0 }) => ({
+    id: supplier._id,
+    name: supplier.name,
+    email: supplier.email,
+    phone: supplier.phone,
+    notes: supplier.notes,
+    batches: totals.batches,
+    spent: totals.spent,
+    createdAt: supplier.createdAt
+});
+
+// LIST SUPPLIERS with how many batches came from each and what they cost
+router.get('/:id/suppliers', requireAuth, requireWorkspaceRole('viewer'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const [suppliers, totals] = await Promise.all([
+            Supplier.find({ workspaceId: id }).collation({ locale: 'en', strength: 2 }).sort({ name: 1 }),
+            getSupplierTotals(id)
+        ]);
+        res.status(200).json(suppliers.map(supplier => formatSupplier(supplier, totals.get(supplier._id.toString()))));
+    } catch (error) {
+        console.error('Error fetching suppliers:', error);
+        res.status(500).json({ error: 'Failed to fetch suppliers' });
+    }
+});
+
+// CREATE A SUPPLIER
+router.post('/:id/suppliers', requireAuth, requireWorkspaceRole('editor'), validate({ body: SUPPLIER_BODY }), async (req, res) => {
+    const { id } = req.params;
+    const { name, email, phone, notes } = req.body;
+
+    try {
+        const supplier = await Supplier.create({ workspaceId: id, name, email, phone, notes });
+        res.status(201).json(formatSupplier(supplier));
+    } catch (error) {
+        if (isDuplicateName(error)) {
+            return res.status(409).json({ error: 'A supplier with this name already exists' });
+        }
+        console.error('Error creating supplier:', error);
+        res.status(500).json({ error: 'Failed to create supplier' });
+    }
+});
+
+// UPDATE A SUPPLIER (null clears email, phone or notes)
+router.put('/:id/suppliers/:supplierId', requireAuth, requireWorkspaceRole('editor'), validate({ params: SUPPLIER_PARAMS, body: SUPPLIER_UPDATE_BODY }), async (req, res) => {
+    const { id, supplierId } = req.params;
+    const fields = ['name', 'email', 'phone', 'notes'].filter(field => field in req.body);
+
+    try {
+        if (fields.length === 0) {
+            return res.status(400).json({ error: 'Provide at least one of name, email, phone or notes' });
+        }
+        if (req.body.name === null) {
+            return res.status(400).json({ error: 'Name cannot be cleared' });
+        }
+
+        const supplier = await findSupplier(id, supplierId);
+        if (!supplier) {
+            return res.status(404).json({ error: 'Supplier not found' });
+        }
+
+        fields.forEach(field => {
+            supplier[field] = req.body[field] === null ? undefined : req.body[field];
+        });
+        await supplier.save();
+        res.status(200).json(formatSupplier(supplier));
+    } catch (error) {
+        if (isDuplicateName(error)) {
+            return res.status(409).json({ error: 'A supplier with this name already exists' });
+        }
+        console.error('Error updating supplier:', error);
+        res.status(500).json({ error: 'Failed to update supplier' });
+    }
+});
+
+// DELETE A SUPPLIER (batches bought from it keep their cost)
+router.delete('/:id/suppliers/:supplierId', requireAuth, requireWorkspaceRole('editor'), validate({ params: SUPPLIER_PARAMS }), async (req, res) => {
+    const { id, supplierId } = req.params;
+
+    try {
+        const supplier = await findSupplier(id, supplierId);
+        if (!supplier) {
+            return res.status(404).json({ error: 'Supplier not found' });
+        }
+
+        await supplier.deleteOne();
+        res.status(200).json({ message: 'Supplier deleted' });
+    } catch (error) {
+        console.error('Error deleting supplier:', error);
+        res.status(500).json({ error: 'Failed to delete supplier' });
+    }
+});
+
+export default router;
@@ -0,0 +1,356 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Workspace from '../model/Workspace.js';
+import Invitation from '../model/Invitation.js';
+import Product from '../model/Product.js';
+import Location from '../model/Location.js';
+import Supplier from '../model/Supplier.js';
+import ShoppingList from '../model/ShoppingList.js';
+import User from '../model/User.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireWorkspaceRole } from '../middleware/workspace.js';
+import { ensurePersonalWorkspace, countOwners, formatWorkspace } from '../services/workspace.js';
+import { WORKSPACE_ROLES, EMAIL_REGEX } from '../utils/validation.js';
+
+const router = express.Router();
+
+const DEFAULT_INVITATION_TTL_DAYS = 7;
+
+const formatInvitation = (invitation, workspace) => ({
+    id: invitation._id,
+    workspaceId: invitation.workspaceId,
+    workspaceName: workspace?.name,
+    email: invitation.email,
+    role: invitation.role,
+    status: invitation.status,
+    expiresAt: invitation.expiresAt
+});
+
+// The personal workspace's own user must stay its owner, or their /:id routes would lock them out
+const isPersonalOwner = (workspace, memberId) => workspace.personal && workspace._id.toString() === memberId;
+
+// LIST MY WORKSPACES (the personal one first)
+router.get('/workspaces', requireAuth, async (req, res) => {
+    try {
+        await ensurePersonalWorkspace(req.userId);
+        const workspaces = await Workspace.find({ 'members.userId': req.userId }).sort({ personal: -1, createdAt: 1 });
+        res.status(200).json(workspaces.map(workspace => formatWorkspace(workspace, req.userId)));
+    } catch (error) {
+        console.error('Error fetching workspaces:', error);
+        res.status(500).json({ error: 'Failed to fetch workspaces' });
+    }
+});
+
+// CREATE A SHARED WORKSPACE
+router.post('/workspaces', requireAuth, async (req, res) => {
+    const { name } = req.body;
+
+    try {
+        if (typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'Name is required' });
+        }
+
+        const workspace = await Workspace.create({ name: name.trim(), members: [{ userId: req.userId, role: 'owner' }] });
+        res.status(201).json(formatWorkspace(workspace, req.userId));
+    } catch (error) {
+        console.error('Error creating workspace:', error);
+        res.status(500).json({ error: 'Failed to create workspace' });
+    }
+});
+
+// GET A WORKSPACE WITH ITS MEMBERS
+router.get('/workspaces/:workspaceId', requireAuth, requireWorkspaceRole('viewer', 'workspaceId'), async (req, res) => {
+    try {
+        const users = await User.find({ _id: { $in: req.workspace.members.map(member => member.userId) } }).select('name email');
+        const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+        const members = req.workspace.members.map(member => ({
+            userId: member.userId,
+            name: usersById.get(member.userId.toString())?.name,
+            email: usersById.get(member.userId.toString())?.email,
+            role: member.role,
+            joinedAt: member.joinedAt
+        }));
+        res.status(200).json({ ...formatWorkspace(req.workspace, req.userId), members });
+    } catch (error) {
+        console.error('Error fetching workspace:', error);
+        res.status(500).json({ error: 'Failed to fetch workspace' });
+    }
+});
+
+// RENAME A WORKSPACE
+router.put('/workspaces/:workspaceId', requireAuth, requireWorkspaceRole('owner', 'workspaceId'), async (req, res) => {
+    const { name } = req.body;
+
+    try {
+        if (typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'Name is required' });
+        }
+
+        req.workspace.name = name.trim();
+        await req.workspace.save();
+        res.status(200).json(formatWorkspace(req.workspace, req.userId));
+    } catch (error) {
+        console.error('Error renaming workspace:', error);
+        res.status(500).json({ error: 'Failed to rename workspace' });
+    }
+});
+
+// DELETE A SHARED WORKSPACE (only once its products are gone)
+router.delete('/workspaces/:workspaceId', requireAuth, requireWorkspaceRole('owner', 'workspaceId'), async (req, res) => {
+    const { workspace } = req;
+
+    try {
+        if (workspace.personal) {
+            return res.status(400).json({ error: 'A personal workspace cannot be deleted' });
+        }
+
+        const products = await Product.findOne({ workspaceId: workspace._id });
+        if (products?.allProducts.length > 0) {
+            return res.status(409).json({ error: 'Delete or move the workspace\'s products first', products: products.allProducts.length });
+        }
+
+        await Invitation.updateMany({ workspaceId: workspace._id, status: 'pending' }, { status: 'revoked', respondedAt: new Date() });
+        await Product.deleteMany({ workspaceId: workspace._id });
+        await Location.deleteMany({ workspaceId: workspace._id });
+        await Supplier.deleteMany({ workspaceId: workspace._id });
+        await ShoppingList.deleteOne({ workspaceId: workspace._id });
+        await workspace.deleteOne();
+        res.status(200).json({ message: 'Workspace deleted' });
+    } catch (error) {
+        console.error('Error deleting workspace:', error);
+        res.status(500).json({ error: 'Failed to delete workspace' });
+    }
+});
+
+// CHANGE A MEMBER'S ROLE
+router.put('/workspaces/:workspaceId/members/:memberId', requireAuth, requireWorkspaceRole('owner', 'workspaceId'), async (req, res) => {
+    const { workspace } = req;
+    const { memberId } = req.params;
+    const { role } = req.body;
+
+    try {
+        if (!WORKSPACE_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Invalid role. Must be one of: ${WORKSPACE_ROLES.join(', ')}` });
+        }
+
+        const member = workspace.members.find(item => item.userId.toString() === memberId);
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        if (member.role === 'owner' && role !== 'owner' && (countOwners(workspace) === 1 || isPersonalOwner(workspace, memberId))) {
+            return res.status(400).json({ error: 'This owner cannot be demoted' });
+        }
+
+        member.role = role;
+        await workspace.save();
+        res.status(200).json({ message: 'Role updated', userId: member.userId, role });
+    } catch (error) {
+        console.error('Error updating member role:', error);
+        res.status(500).json({ error: 'Failed to update member role' });
+    }
+});
+
+// REMOVE A MEMBER (owners remove anyone; any member can remove themselves to leave)
+router.delete('/workspaces/:workspaceId/members/:memberId', requireAuth, requireWorkspaceRole('viewer', 'workspaceId'), async (req, res) => {
+    const { workspace } = req;
+    const { memberId } = req.params;
+
+    try {
+        if (memberId !== req.userId && req.role !== 'owner') {
+            return res.status(403).json({ error: 'Only an owner can remove other members' });
+        }
+
+        const member = workspace.members.find(item => item.userId.toString() === memberId);
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        if (isPersonalOwner(workspace, memberId) || (member.role === 'owner' && countOwners(workspace) === 1)) {
+            return res.status(400).json({ error: 'This owner cannot be removed from the workspace' });
+        }
+
+        workspace.members = workspace.members.filter(item => item.userId.toString() !== memberId);
+        await workspace.save();
+        res.status(200).json({ message: 'Member removed' });
+    } catch (error) {
+        console.error('Error removing member:', error);
+        res.status(500).json({ error: 'Failed to remove member' });
+    }
+});
+
+// INVITE SOMEONE BY EMAIL (inviting the same email again refreshes the invitation)
+router.post('/workspaces/:workspaceId/invitations', requireAuth, requireWorkspaceRole('owner', 'workspaceId'), async (req, res) => {
+    const { workspace } = req;
+    const { role = 'viewer' } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+    try {
+        if (!EMAIL_REGEX.test(email)) {
+            return res.status(400).json({ error: 'A valid email is required' });
+        }
+        if (!WORKSPACE_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Invalid role. Must be one of: ${WORKSPACE_ROLES.join(', ')}` });
+        }
+
+        const existingUser = await User.findOne({ email });
+        if (existingUser && workspace.members.some(member => member.userId.equals(existingUser._id))) {
+            return res.status(409).json({ error: 'That user is already a member' });
+        }
+
+        const ttlDays = Number(process.env.INVITATION_TTL_DAYS) || DEFAULT_INVITATION_TTL_DAYS;
+        const expiresAt = new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000);
+
+        const pending = await Invitation.findOne({ workspaceId: workspace._id, email, status: 'pending' });
+        if (pending) {
+            pending.role = role;
+            pending.expiresAt = expiresAt;
+            pending.invitedBy = req.userId;
+            await pending.save();
+            return res.status(200).json(formatInvitation(pending, workspace));
+        }
+
+        const invitation = await Invitation.create({ workspaceId: workspace._id, email, role, invitedBy: req.userId, expiresAt });
+        res.status(201).json(formatInvitation(invitation, workspace));
+    } catch (error) {
+        console.error('Error creating invitation:', error);
+        res.status(500).json({ error: 'Failed to create invitation' });
+    }
+});
+
+// LIST A WORKSPACE'S PENDING INVITATIONS
+router.get('/workspaces/:workspaceId/invitations', requireAuth, requireWorkspaceRole('owner', 'workspaceId'), async (req, res) => {
+    try {
+        const invitations = await Invitation.find({ workspaceId: req.workspace._id, status: 'pending', expiresAt: { $gt: new Date() } })
+            .sort({ createdAt: -1 });
+        res.status(200).json(invitations.map(invitation => formatInvitation(invitation, req.workspace)));
+    } catch (error) {
+        console.error('Error fetching invitations:', error);
+        res.status(500).json({ error: 'Failed to fetch invitations' });
+    }
+});
+
+// REVOKE AN INVITATION
+router.delete('/workspaces/:workspaceId/invitations/:invitationId', requireAuth, requireWorkspaceRole('owner', 'workspaceId'), async (req, res) => {
+    const { invitationId } = req.params;
+
+    try {
+        if (!mongoose.isValidObjectId(invitationId)) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+
+        const invitation = await Invitation.findOneAndUpdate(
+            { _id: invitationId, workspaceId: req.workspace._id, status: 'pending' },
+            { status: 'revoked', respondedAt: new Date() },
+            { new: true }
+        );
+        if (!invitation) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+        res.status(200).json({ message: 'Invitation revoked' });
+    } catch (error) {
+        console.error('Error revoking invitation:', error);
+        res.status(500).json({ error: 'Failed to revoke invitation' });
+    }
+});
+
+// Invitations go to an email address, so only someone who has proved they own it may see or answer them
+const UNVERIFIED_EMAIL = {
+    status: 403,
+    body: { error: 'Verify your email address before viewing or answering invitations sent to it' }
+};
+
+// Loads a pending, unexpired invitation addressed to the caller's email; otherwise the status and body explaining why not
+const findMyInvitation = async (invitationId, userId) => {
+    const user = await User.findById(userId).select('email emailVerified');
+    if (user && !user.emailVerified) {
+        return UNVERIFIED_EMAIL;
+    }
+    const invitation = user && mongoose.isValidObjectId(invitationId)
+        ? await Invitation.findOne({ _id: invitationId, email: user.email.toLowerCase() })
+        : null;
+
+    if (!invitation) {
+        return { status: 404, body: { error: 'Invitation not found' } };
+    }
+    if (invitation.status !== 'pending') {
+        return { status: 409, body: { error: `Invitation is already ${invitation.status}` } };
+    }
+    if (invitation.expiresAt <= new Date()) {
+        return { status: 410, body: { error: 'Invitation has expired' } };
+    }
+    return { invitation };
+};
+
+// LIST INVITATIONS SENT TO MY EMAIL
+router.get('/invitations', requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.userId).select('email emailVerified');
+        if (!user) {
+            return res.status(401).json({ error: 'User not found' });
+        }
+        if (!user.emailVerified) {
+            return res.status(UNVERIFIED_EMAIL.status).json(UNVERIFIED_EMAIL.body);
+        }
+
+        const invitations = await Invitation.find({ email: user.email.toLowerCase(), status: 'pending', expiresAt: { $gt: new Date() } })
+            .sort({ createdAt: -1 });
+        const workspaces = await Workspace.find({ _id: { $in: invitations.map(invitation => invitation.workspaceId) } }).select('name');
+        const names = new Map(workspaces.map(workspace => [workspace._id.toString(), workspace]));
+
+        res.status(200).json(invitations.map(invitation => formatInvitation(invitation, names.get(invitation.workspaceId.toString()))));
+    } catch (error) {
+        console.error('Error fetching invitations:', error);
+        res.status(500).json({ error: 'Failed to fetch invitations' });
+    }
+});
+
+// ACCEPT AN INVITATION AND JOIN THE WORKSPACE
+router.post('/invitations/:invitationId/accept', requireAuth, async (req, res) => {
+    try {
+        const { invitation, status, body } = await findMyInvitation(req.params.invitationId, req.userId);
+        if (!invitation) {
+            return res.status(status).json(body);
+        }
+
+        const workspace = await Workspace.findById(invitation.workspaceId);
+        if (!workspace) {
+            return res.status(404).json({ error: 'Workspace no longer exists' });
+        }
+
+        // Someone who is already a member keeps their current role
+        await Workspace.updateOne(
+            { _id: workspace._id, 'members.userId': { $ne: req.userId } },
+            { $push: { members: { userId: req.userId, role: invitation.role } } }
+        );
+
+        invitation.status = 'accepted';
+        invitation.respondedAt = new Date();
+        await invitation.save();
+
+        const joined = await Workspace.findById(workspace._id);
+        res.status(200).json(formatWorkspace(joined, req.userId));
+    } catch (error) {
+        console.error('Error accepting invitation:', error);
+        res.status(500).json({ error: 'Failed to accept invitation' });
+    }
+});
+
+// DECLINE AN INVITATION
+router.post('/invitations/:invitationId/decline', requireAuth, async (req, res) => {
+    try {
+        const { invitation, status, body } = await findMyInvitation(req.params.invitationId, req.userId);
+        if (!invitation) {
+            return res.status(status).json(body);
+        }
+
+        invitation.status = 'declined';
+        invitation.respondedAt = new Date();
+        await invitation.save();
+        res.status(200).json({ message: 'Invitation declined' });
+    } catch (error) {
+        console.error('Error declining invitation:', error);
+        res.status(500).json({ error: 'Failed to decline invitation' });
+    }
+});
+
+export default router;
@@ -0,0 +1,173 @@
+import mongoose from 'mongoose';
+import Product from '../model/Product.js';
+import Stock from '../model/Stock.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PERIODS = ['day', 'week', 'month'];
+
+// The workspace's stock documents, optionally narrowed to some products
+export const stockMatch = ({ workspaceId, productIds }) => {
+    const match = { workspaceId: new mongoose.Types.ObjectId(workspaceId) };
+    if (productIds?.length) {
+        match.productId = { $in: productIds.map(productId => new mongoose.Types.ObjectId(productId)) };
+    }
+    return match;
+};
+
+// One document per 'sub' entry inside [from, to)
+const usagePipeline = ({ workspaceId, productIds, from, to }) => [
+    { $match: stockMatch({ workspaceId, productIds }) },
+    { $unwind: '$stockDetail' },
+    { $unwind: '$stockDetail.entry' },
+    {
+        $match: {
+            'stockDetail.entry.type': 'sub',
+            'stockDetail.entry.time': { $gte: from, $lt: to }
+        }
+    }
+];
+
+// The workspace's products (archived too) keyed by id
+export const getProductsById = async (workspaceId) => {
+    const product = await Product.findOne({ workspaceId });
+    return new Map((product?.allProducts || []).map(item => [item._id.toString(), item]));
+};
+
+/**
+ * Quantity used per product, bucketed by day, week (starting Monday) or month.
+ */
+export const getUsageByPeriod = async ({ workspaceId, productIds, from, to, period }) => {
+    const rows = await Stock.aggregate([
+        ...usagePipeline({ workspaceId, productIds, from, to }),
+        {
+            $group: {
+                _id: {
+                    productId: '$productId',
+                    period: { $dateTrunc: { date: '$stockDetail.entry.time', unit: period, startOfWeek: 'monday' } }
+                },
+                used: { $sum: '$stockDetail.entry.usedQty' },
+                uses: { $sum: 1 }
+            }
+        },
+        { $sort: { '_id.period': 1 } },
+        {
+            $group: {
+                _id: '$_id.productId',
+                total: { $sum: '$used' },
+                series: { $push: { period: '$_id.period', used: '$used', uses: '$uses' } }
+            }
+        }
+    ]);
+
+    const products = await getProductsById(workspaceId);
+    return rows.map(row => ({
+        productId: row._id,
+        name: products.get(row._id.toString())?.name,
+        measure: products.get(row._id.toString())?.measure,
+        total: row.total,
+        series: row.series
+    }));
+};
+
+/**
+ * Average daily use over the range, current live quantity and the estimated days until it runs out.
+ * Products with no use in the range report a null stock-out estimate.
+ */
+export const getBurnRates = async ({ workspaceId, productIds, from, to }) => {
+    const days = Math.max((to - from) / DAY_MS, 1);
+
+    const [usage, totals] = await Promise.all([
+        Stock.aggregate([
+            ...usagePipeline({ workspaceId, productIds, from, to }),
+            { $group: { _id: '$productId', used: { $sum: '$stockDetail.entry.usedQty' } } }
+        ]),
+        Stock.aggregate([
+            { $match: stockMatch({ workspaceId, productIds }) },
+            { $unwind: '$stockDetail' },
+            { $group: { _id: '$productId', qty: { $sum: '$stockDetail.qty' } } }
+        ])
+    ]);
+
+    const usedByProduct = new Map(usage.map(row => [row._id.toString(), row.used]));
+    const products = await getProductsById(workspaceId);
+
+    return totals.map(row => {
+        const key = row._id.toString();
+        const used = usedByProduct.get(key) || 0;
+        const dailyUsage = used / days;
+
+        return {
+            productId: row._id,
+            name: products.get(key)?.name,
+            measure: products.get(key)?.measure,
+            currentQty: row.qty,
+            used,
+            dailyUsage: Number(dailyUsage.toFixed(2)),
+            daysUntilStockOut: dailyUsage > 0 ? Number((row.qty / dailyUsage).toFixed(1)) : null
+        };
+    });
+};
+
+/**
+ * Quantity discarded per product in [from, to), split by reason, against the quantity bought
+ * ('add' entries) in the same range. Deleted batches were entered by mistake, so they do not
+ * count as bought.
+ */
+export const getWastage = async ({ workspaceId, productIds, from, to }) => {
+    const [result] = await Stock.aggregate([
+        { $match: stockMatch({ workspaceId, productIds }) },
+        { $unwind: '$stockDetail' },
+        {
+            $facet: {
+                bought: [
+                    { $match: { 'stockDetail.deletedAt': { $exists: false } } },
+                    { $unwind: '$stockDetail.entry' },
+                    { $match: { 'stockDetail.entry.type': 'add', 'stockDetail.entry.time': { $gte: from, $lt: to } } },
+                    { $group: { _id: '$productId', qty: { $sum: '$stockDetail.entry.usedQty' } } }
+                ],
+                discarded: [
+                    { $unwind: '$stockDetail.entry' },
+                    { $match: { 'stockDetail.entry.type': 'discard', 'stockDetail.entry.time': { $gte: from, $lt: to } } },
+                    {
+                        $group: {
+                            _id: { productId: '$productId', reason: '$stockDetail.entry.reason' },
+                            qty: { $sum: '$stockDetail.entry.usedQty' }
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+
+    const report = new Map();
+    const rowFor = (productId) => {
+        const key = productId.toString();
+        if (!report.has(key)) {
+            report.set(key, { productId, bought: 0, discarded: 0, byReason: {} });
+        }
+        return report.get(key);
+    };
+
+    for (const row of result.bought) {
+        rowFor(row._id).bought = row.qty;
+    }
+    for (const row of result.discarded) {
+        const item = rowFor(row._id.productId);
+        item.discarded += row.qty;
+        // Discards without a reason count as 'other', alongside those marked 'other'
+        const reason = row._id.reason || 'other';
+        item.byReason[reason] = (item.byReason[reason] || 0) + row.qty;
+    }
+
+    const products = await getProductsById(workspaceId);
+    return [...report.values()]
+        .filter(item => item.discarded > 0 || item.bought > 0)
+        .map(item => ({
+            ...item,
+            name: products.get(item.productId.toString())?.name,
+            measure: products.get(item.productId.toString())?.measure,
+            wasteShare: item.bought > 0 ? Number((item.discarded / item.bought).toFixed(3)) : null
+        }))
+        .sort((a, b) => b.discarded - a.discarded);
+};
@@ -0,0 +1,61 @@
+import AuthToken from '../model/AuthToken.js';
+import { sendMail } from './mail/index.js';
+import { randomToken, hashToken } from '../utils/tokens.js';
+
+const DEFAULT_RESET_TTL_MINUTES = 60;
+const DEFAULT_VERIFY_TTL_HOURS = 48;
+
+const ttlMs = (purpose) => (purpose === 'reset_password'
+    ? (Number(process.env.PASSWORD_RESET_TTL_MINUTES) || DEFAULT_RESET_TTL_MINUTES) * 60 * 1000
+    : (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || DEFAULT_VERIFY_TTL_HOURS) * 60 * 60 * 1000);
+
+// Links in emails point at the frontend, which posts the token back to the API
+const appUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+/**
+ * Issues a new single-use token for `purpose` and returns it in plain text (only its hash is
+ * stored). Earlier unused tokens for the same purpose stop working.
+ */
+export const createAuthToken = async ({ userId, purpose }) => {
+    const token = randomToken();
+    await AuthToken.updateMany({ userId, purpose, usedAt: null }, { usedAt: new Date() });
+    await AuthToken.create({
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs(purpose))
+    });
+    return token;
+};
+
+/**
+ * Marks the token used and returns its record, or null if it is unknown, used or expired.
+ * The check and the update are one operation, so a token can't be used twice.
+ */
+export const consumeAuthToken = async ({ token, purpose }) => {
+    if (typeof token !== 'string' || !token) return null;
+
+    return AuthToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+        { usedAt: new Date() },
+        { new: true }
+    );
+};
+
+export const sendVerificationEmail = async (user) => {
+    const token = await createAuthToken({ userId: user._id, purpose: 'verify_email' });
+    return sendMail({
+        to: user.email,
+        subject: 'Verify your Restocker email address',
+        text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${appUrl()}/verify-email?token=${token}\n\nThe link expires in ${Math.round(ttlMs('verify_email') / 3600000)} hours.`
+    });
+};
+
+export const sendPasswordResetEmail = async (user) => {
+    const token = await createAuthToken({ userId: user._id, purpose: 'reset_password' });
+    return sendMail({
+        to: user.email,
+        subject: 'Reset your Restocker password',
+        text: `Hi ${user.name},\n\nSomeone asked to reset your password. If it was you, open this link to choose a new one:\n${appUrl()}/reset-password?token=${token}\n\nThe link expires in ${Math.round(ttlMs('reset_password') / 60000)} minutes. If you didn't ask for this, you can ignore this email.`
+    });
+};
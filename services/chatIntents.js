@@ -0,0 +1,218 @@
+import Stock from '../model/Stock.js';
+import Product from '../model/Product.js';
+import { findExpiringBatches } from './expiry.js';
+import { findProductByName, findProductById, packView } from './product.js';
+import { addStockBatches, useStock, consumeStock, toBaseQty, StockError } from './stock.js';
+import { validateIntentPayload } from './intentSchema.js';
+import { roundQty } from '../utils/units.js';
+
+// Intents answered from real Product/Stock data instead of by the model
+export const READ_INTENTS = ['list_stock', 'check_expiring', 'product_quantity'];
+
+// Intents that change inventory; these can be held as proposals until the user confirms
+export const WRITE_INTENTS = ['add_product', 'add_stock', 'use_stock'];
+
+const DEFAULT_EXPIRING_DAYS = 7;
+const MAX_EXPIRING_DAYS = 365;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const liveBatches = (stock) => (stock?.stockDetail || []).filter(item => !item.deletedAt && item.qty > 0);
+
+// A name from the AI wins; otherwise fall back to the product page the chat was opened on
+const resolveProduct = async ({ workspaceId, productId, name }) => {
+    if (name) return findProductByName(workspaceId, name);
+    if (productId) return findProductById(workspaceId, productId);
+    return null;
+};
+
+const notFoundReply = (name) => (name
+    ? `I couldn't find a product called "${name}" in your inventory.`
+    : 'Which product do you mean? Please tell me its name.');
+
+const listStock = async ({ workspaceId }) => {
+    const [product, stocks] = await Promise.all([Product.findOne({ workspaceId }), Stock.find({ workspaceId })]);
+    const stockByProduct = new Map(stocks.map(stock => [stock.productId.toString(), stock]));
+
+    const lines = [];
+    for (const item of product?.allProducts || []) {
+        if (item.archived) continue;
+        const batches = liveBatches(stockByProduct.get(item._id.toString()));
+        if (batches.length === 0) continue;
+
+        const total = roundQty(batches.reduce((sum, batch) => sum + batch.qty, 0));
+        lines.push(`• ${item.name}: ${total} ${item.measure} (${batches.length} batch${batches.length === 1 ? '' : 'es'})`);
+    }
+
+    if (lines.length === 0) return "You don't have any stock yet.";
+    return `Here's what you have in stock:\n${lines.join('\n')}`;
+};
+
+const checkExpiring = async ({ workspaceId, data }) => {
+    const requested = Number(data?.days);
+    const days = Number.isInteger(requested) && requested >= 0 ? Math.min(requested, MAX_EXPIRING_DAYS) : DEFAULT_EXPIRING_DAYS;
+    const { expiring, expired } = await findExpiringBatches({ workspaceId, days });
+
+    if (expiring.length === 0 && expired.length === 0) {
+        return `Nothing in your stock expires in the next ${days} day(s).`;
+    }
+
+    const lines = [];
+    if (expired.length > 0) {
+        lines.push('Already expired:');
+        expired.forEach(item => lines.push(`• ${item.productName}: ${item.qty} ${item.measure} (expired ${formatDate(item.expiryDate)})`));
+    }
+    if (expiring.length > 0) {
+        lines.push(`Expiring in the next ${days} day(s):`);
+        expiring.forEach(item => lines.push(`• ${item.productName}: ${item.qty} ${item.measure} (expires ${formatDate(item.expiryDate)})`));
+    }
+    return lines.join('\n');
+};
+
+const productQuantity = async ({ workspaceId, productId, data }) => {
+    const product = await resolveProduct({ workspaceId, productId, name: data?.name });
+    if (!product) return notFoundReply(data?.name);
+
+    const stock = await Stock.findOne({ workspaceId, productId: product._id });
+    const batches = liveBatches(stock).sort((a, b) => a.expiryDate - b.expiryDate);
+    if (batches.length === 0) return `You have no ${product.name} in stock.`;
+
+    const total = roundQty(batches.reduce((sum, batch) => sum + batch.qty, 0));
+    const inPacks = packView(product, total).map(view => `${view.count} ${view.pack}`).join(', ');
+    const lines = batches.map(batch => `• ${batch.qty} ${product.measure}, expires ${formatDate(batch.expiryDate)}`);
+    return `You have ${total} ${product.measure}${inPacks ? ` (${inPacks})` : ''} of ${product.name}:\n${lines.join('\n')}`;
+};
+
+/**
+ * Runs one of READ_INTENTS against the workspace's data and returns the reply text.
+ */
+export const runReadIntent = async ({ workspaceId, productId, aiData }) => {
+    const args = { workspaceId, productId, data: aiData.data };
+    switch (aiData.intent) {
+        case 'list_stock':
+            return listStock(args);
+        case 'check_expiring':
+            return checkExpiring(args);
+        case 'product_quantity':
+            return productQuantity(args);
+        default:
+            return "I didn't understand your request.";
+    }
+};
+
+/**
+ * Checks the data for one of WRITE_INTENTS against the intent schema before anything is saved
+ * or proposed. Returns a reply explaining the problem, or null when the data is usable.
+ */
+export const validateWriteIntent = ({ intent, data, productId }) => {
+    if (intent === 'add_stock' && !productId) {
+        return "Please open the product page to add stock.";
+    }
+
+    const errors = validateIntentPayload(intent, { data });
+    if (errors.length > 0) {
+        return `That doesn't look right: ${errors.join('; ')}.`;
+    }
+    return null;
+};
+
+/**
+ * One-line description of a write intent, shown when asking the user to confirm it.
+ */
+export const describeWriteIntent = async ({ workspaceId, productId, intent, data }) => {
+    if (intent === 'add_product') {
+        return `Add ${data.length} product(s): ${data.map(item => `${item.name} (${item.measure})`).join(', ')}`;
+    }
+
+    if (intent === 'add_stock') {
+        const product = await findProductById(workspaceId, productId);
+        const batches = data.map(item => {
+            const amount = item.packs !== undefined
+                ? `${Number(item.packs)} ${item.pack || 'pack'}(s)`
+                : `${Number(item.qty)}${product ? ` ${product.measure}` : ''}`;
+            return `${amount} expiring ${item.expiryDate}`;
+        });
+        return `Add stock to ${product?.name || 'this product'}: ${batches.join(', ')}`;
+    }
+
+    const product = await resolveProduct({ workspaceId, productId, name: data?.name });
+    return `Use ${Number(data.qty)}${product ? ` ${product.measure}` : ''} of ${product?.name || data?.name || 'this product'}`;
+};
+
+const addProducts = async ({ workspaceId, data }) => {
+    try {
+        const products = data.map(({ name, description, measure }) => ({ name, description, measure }));
+        const exist = await Product.findOne({ workspaceId });
+
+        if (!exist) {
+            await Product.create({ workspaceId, allProducts: products });
+        } else {
+            exist.allProducts.push(...products);
+            await exist.save();
+        }
+        return { ok: true, reply: `✅ ${products.length} product(s) added successfully.` };
+    } catch (dbError) {
+        console.error('Database error in add_product:', dbError);
+        return { ok: false, reply: "Failed to add product. Please try again." };
+    }
+};
+
+// Pack counts are converted to the product's measure before anything is saved
+const addStock = async ({ workspaceId, userId, productId, data }) => {
+    try {
+        const batches = [];
+        for (const item of data) {
+            const { qty } = await toBaseQty({ workspaceId, productId, qty: item.qty, packs: item.packs, pack: item.pack });
+            batches.push({ expiryDate: item.expiryDate, qty });
+        }
+        await addStockBatches({ workspaceId, productId, batches, by: userId });
+        return { ok: true, reply: `✅ ${data.length} stock entry(ies) added successfully.` };
+    } catch (dbError) {
+        if (dbError instanceof StockError) {
+            return { ok: false, reply: `I couldn't add that stock: ${dbError.message}.` };
+        }
+        console.error('Database error in add_stock:', dbError);
+        return { ok: false, reply: "Failed to add stock. Please try again." };
+    }
+};
+
+// Uses the named batch when the AI gives a stockId, otherwise draws earliest-expiry first
+const useStockIntent = async ({ workspaceId, userId, productId, data }) => {
+    const product = await resolveProduct({ workspaceId, productId, name: data?.name });
+    if (!product) return { ok: false, reply: notFoundReply(data?.name) };
+
+    try {
+        if (data.stockId) {
+            const batch = await useStock({ workspaceId, productId: product._id, stockId: data.stockId, usedQty: data.qty, by: userId });
+            return { ok: true, reply: `✅ Used ${Number(data.qty)} ${product.measure} of ${product.name}. ${batch.qty} left in that batch.` };
+        }
+
+        const breakdown = await consumeStock({ workspaceId, productId: product._id, qty: data.qty, by: userId });
+        const detail = breakdown.map(item => `${item.taken} from the batch expiring ${formatDate(item.expiryDate)}`).join(', ');
+        return { ok: true, reply: `✅ Used ${Number(data.qty)} ${product.measure} of ${product.name} (${detail}).` };
+    } catch (error) {
+        if (error instanceof StockError) {
+            const available = error.details.available !== undefined ? ` You have ${error.details.available} ${product.measure} available.` : '';
+            return { ok: false, reply: `I couldn't use that stock: ${error.message}.${available}` };
+        }
+        console.error('Database error in use_stock:', error);
+        return { ok: false, reply: "Failed to use stock. Please try again." };
+    }
+};
+
+/**
+ * Saves one of WRITE_INTENTS in the workspace, recording userId as the acting user.
+ * Call validateWriteIntent first. Returns { ok, reply }; ok is false when nothing was saved.
+ */
+export const runWriteIntent = async ({ workspaceId, userId, productId, intent, data }) => {
+    switch (intent) {
+        case 'add_product':
+            return addProducts({ workspaceId, data });
+        case 'add_stock':
+            return addStock({ workspaceId, userId, productId, data });
+        case 'use_stock':
+            return useStockIntent({ workspaceId, userId, productId, data });
+        default:
+            return { ok: false, reply: "I didn't understand your request." };
+    }
+};
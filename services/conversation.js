@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import Conversation from '../model/Conversation.js';
+
+const DEFAULT_HISTORY_TOKEN_BUDGET = 1500;
+const MAX_HISTORY_MESSAGES = 20;
+const TITLE_LENGTH = 60;
+
+// Rough token estimate (about 4 characters per token) - close enough for trimming
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Loads the user's conversation, or starts a new unsaved one on `workspaceId` when no id is given.
+ * Returns null when the id does not belong to this user.
+ */
+export const loadConversation = async ({ userId, workspaceId, conversationId, productId, message }) => {
+    if (conversationId) {
+        if (!mongoose.isValidObjectId(conversationId)) return null;
+        return Conversation.findOne({ _id: conversationId, userId });
+    }
+    return new Conversation({
+        userId,
+        workspaceId,
+        productId: productId || undefined,
+        title: message.slice(0, TITLE_LENGTH),
+        messages: []
+    });
+};
+
+const formatMessage = (msg) => {
+    if (msg.role === 'user') return `User: ${msg.content}`;
+    const action = msg.action && msg.action.intent !== 'chat' ? ` (action: ${JSON.stringify(msg.action)})` : '';
+    return `Assistant: ${msg.content}${action}`;
+};
+
+/**
+ * The most recent turns that fit in the token budget, oldest first, formatted for the prompt.
+ * Returns an empty string for a new conversation.
+ */
+export const buildHistory = (messages, budget = Number(process.env.CHAT_HISTORY_TOKEN_BUDGET) || DEFAULT_HISTORY_TOKEN_BUDGET) => {
+    const lines = [];
+    let used = 0;
+
+    for (const msg of messages.slice(-MAX_HISTORY_MESSAGES).reverse()) {
+        const line = formatMessage(msg);
+        const tokens = estimateTokens(line);
+        if (used + tokens > budget) break;
+        lines.unshift(line);
+        used += tokens;
+    }
+
+    if (lines.length === 0) return '';
+    return `Conversation so far (use it to resolve follow-ups like "that" or "it"):\n${lines.join('\n')}\n\n`;
+};
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+import Product from '../model/Product.js';
+import Stock from '../model/Stock.js';
+import Alert from '../model/Alert.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expiry dates are stored as UTC midnight (YYYY-MM-DD), so compare against UTC days
+export const startOfToday = () => {
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    return today;
+};
+
+/**
+ * Lists live batches (qty > 0) that expire within `days` days or have already expired,
+ * with product names joined from Product.allProducts. Pass a workspaceId to scope to one workspace.
+ */
+export const findExpiringBatches = async ({ workspaceId, days }) => {
+    const today = startOfToday();
+    const cutoff = new Date(today.getTime() + days * DAY_MS);
+
+    // aggregate() does not cast, so string ids must become ObjectIds here
+    const match = workspaceId ? { workspaceId: new mongoose.Types.ObjectId(workspaceId) } : {};
+    const rows = await Stock.aggregate([
+        { $match: match },
+        { $unwind: '$stockDetail' },
+        { $match: { 'stockDetail.qty': { $gt: 0 }, 'stockDetail.expiryDate': { $lte: cutoff } } },
+        { $sort: { 'stockDetail.expiryDate': 1 } },
+        {
+            $project: {
+                _id: 0,
+                workspaceId: 1,
+                productId: 1,
+                stockId: '$stockDetail._id',
+                expiryDate: '$stockDetail.expiryDate',
+                qty: '$stockDetail.qty'
+            }
+        }
+    ]);
+
+    const workspaceIds = [...new Set(rows.map(row => row.workspaceId.toString()))];
+    const productDocs = await Product.find({ workspaceId: { $in: workspaceIds } });
+    const products = new Map();
+    for (const doc of productDocs) {
+        for (const item of doc.allProducts) {
+            products.set(item._id.toString(), item);
+        }
+    }
+
+    const expiring = [];
+    const expired = [];
+    for (const row of rows) {
+        const product = products.get(row.productId.toString());
+        if (!product || product.archived) continue;
+
+        const daysLeft = Math.round((row.expiryDate - today) / DAY_MS);
+        const item = { ...row, productName: product.name, measure: product.measure, daysLeft };
+        (row.expiryDate < today ? expired : expiring).push(item);
+    }
+
+    return { expiring, expired };
+};
+
+/**
+ * Creates one alert per expiring or expired batch across all workspaces.
+ * Existing alerts are left untouched, so read alerts stay read.
+ */
+export const createExpiryAlerts = async (days) => {
+    const { expiring, expired } = await findExpiringBatches({ days });
+
+    const toAlert = (type) => (item) => ({
+        updateOne: {
+            filter: { workspaceId: item.workspaceId, stockId: item.stockId, type },
+            update: {
+                $setOnInsert: {
+                    productId: item.productId,
+                    productName: item.productName,
+                    expiryDate: item.expiryDate,
+                    qty: item.qty
+                }
+            },
+            upsert: true
+        }
+    });
+
+    const ops = [...expiring.map(toAlert('expiring')), ...expired.map(toAlert('expired'))];
+    if (ops.length === 0) return 0;
+
+    const result = await Alert.bulkWrite(ops, { ordered: false });
+    return result.upsertedCount;
+};
@@ -0,0 +1,289 @@
+import Product from '../model/Product.js';
+import Stock from '../model/Stock.js';
+import Location from '../model/Location.js';
+import Supplier from '../model/Supplier.js';
+import { addStockBatches } from './stock.js';
+import { hasDuplicatePackNames } from './product.js';
+import { VALID_MEASURES, isValidDate, isPositiveNumber, isValidThreshold } from '../utils/validation.js';
+import { isValidBarcode, normalizeBarcode } from '../utils/barcode.js';
+import { canonicalUnit } from '../utils/units.js';
+
+// Flat row layout shared by CSV import and export: one row per batch, or per product without stock
+export const CSV_COLUMNS = ['name', 'description', 'measure', 'minQty', 'reorderQty', 'barcode', 'expiryDate', 'qty'];
+
+const blank = (value) => value === undefined || value === null || value === '';
+const optionalNumber = (value) => (blank(value) ? undefined : Number(value));
+const optionalId = (value) => (blank(value) ? undefined : String(value));
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// A row that could not be read at all; planImport reports `_error` for it
+const badRow = (line, error) => ({ _line: line, _error: error });
+const flatRows = (rows) => rows.map((row, index) => (isObject(row) ? { ...row, _line: index + 1 } : badRow(index + 1, 'row must be an object')));
+
+const isValidPack = (pack) => typeof pack?.name === 'string' && pack.name.trim() !== '' && pack.name.length <= 50
+    && isPositiveNumber(pack.size);
+
+/**
+ * Accepts either flat rows ([{ name, ..., expiryDate, qty }] or { rows: [...] }) or the nested
+ * shape produced by the JSON export ({ products: [{ name, ..., packs, stock: [{ expiryDate, qty,
+ * locationId, unitCost, supplierId }] }] }). Used-up batches in the nested shape are history, not
+ * stock, so they are skipped. Entries that aren't objects become rows flagged with an error.
+ */
+export const rowsFromJson = (body) => {
+    if (Array.isArray(body)) {
+        return flatRows(body);
+    }
+    if (Array.isArray(body?.rows)) {
+        return flatRows(body.rows);
+    }
+    if (Array.isArray(body?.products)) {
+        const rows = [];
+        body.products.forEach((product, index) => {
+            if (!isObject(product)) {
+                rows.push(badRow(index + 1, 'product must be an object'));
+                return;
+            }
+            const { stock, ...fields } = product;
+            if (!blank(stock) && (!Array.isArray(stock) || !stock.every(isObject))) {
+                rows.push(badRow(index + 1, 'stock must be a list of batch objects'));
+                return;
+            }
+            const batches = (stock || []).filter(batch => Number(batch.qty) !== 0);
+            if (batches.length === 0) {
+                rows.push({ ...fields, _line: index + 1 });
+            }
+            for (const batch of batches) {
+                rows.push({
+                    ...fields,
+                    expiryDate: batch.expiryDate,
+                    qty: batch.qty,
+                    locationId: batch.locationId,
+                    unitCost: batch.unitCost,
+                    supplierId: batch.supplierId,
+                    _line: index + 1
+                });
+            }
+        });
+        return rows;
+    }
+    return null;
+};
+
+/**
+ * Checks every row and groups them by product name (case-insensitive), matching existing
+ * products first. A batch's locationId and supplierId must be among `locationIds` and
+ * `supplierIds`. Returns per-row errors and the plan of products and batches to create.
+ */
+const planImport = (rows, existingProducts, { locationIds, supplierIds }) => {
+    const byName = new Map();
+    for (const item of existingProducts) {
+        const key = item.name.trim().toLowerCase();
+        // Prefer an active product over an archived one with the same name
+        if (!byName.has(key) || byName.get(key).archived) byName.set(key, item);
+    }
+
+    // Barcode -> product name, so two products can't end up sharing a barcode
+    const barcodes = new Map(existingProducts.filter(item => item.barcode).map(item => [item.barcode, item.name]));
+
+    const plan = new Map();
+    const errors = [];
+
+    for (const row of rows) {
+        if (row._error) {
+            errors.push({ row: row._line, errors: [row._error] });
+            continue;
+        }
+
+        const rowErrors = [];
+        const name = typeof row.name === 'string' ? row.name.trim() : '';
+        if (!name) {
+            errors.push({ row: row._line, errors: ['name is required'] });
+            continue;
+        }
+
+        const key = name.toLowerCase();
+        const existing = byName.get(key);
+        let entry = plan.get(key);
+        const knownMeasure = existing?.measure || entry?.product?.measure;
+
+        if (!existing && !entry) {
+            if (blank(row.description)) rowErrors.push('description is required for a new product');
+            if (blank(row.measure)) rowErrors.push('measure is required for a new product');
+        }
+        const measure = blank(row.measure) ? undefined : canonicalUnit(String(row.measure));
+        if (!blank(row.measure) && !measure) {
+            rowErrors.push(`invalid measure. Must be one of: ${VALID_MEASURES.join(', ')}`);
+        } else if (measure && knownMeasure && canonicalUnit(knownMeasure) !== measure) {
+            rowErrors.push(`measure "${row.measure}" does not match the product's measure "${knownMeasure}"`);
+        }
+
+        const minQty = optionalNumber(row.minQty);
+        const reorderQty = optionalNumber(row.reorderQty);
+        if (!isValidThreshold(minQty) || !isValidThreshold(reorderQty)) {
+            rowErrors.push('minQty and reorderQty must be non-negative numbers');
+        }
+
+        const barcode = blank(row.barcode) ? undefined : String(row.barcode);
+        if (barcode !== undefined) {
+            const owner = isValidBarcode(barcode) && barcodes.get(normalizeBarcode(barcode));
+            if (!isValidBarcode(barcode)) {
+                rowErrors.push('barcode is not a valid barcode or GTIN');
+            } else if (owner && owner.toLowerCase() !== key) {
+                rowErrors.push(`barcode already belongs to "${owner}"`);
+            }
+        }
+
+        const packs = blank(row.packs) ? undefined : row.packs;
+        if (packs !== undefined) {
+            if (!Array.isArray(packs) || !packs.every(isValidPack)) {
+                rowErrors.push('packs must be a list of { name, size } with a positive size');
+            } else if (hasDuplicatePackNames(packs)) {
+                rowErrors.push('pack names must be unique');
+            }
+        }
+
+        const hasStock = !blank(row.qty) || !blank(row.expiryDate);
+        const locationId = optionalId(row.locationId);
+        const supplierId = optionalId(row.supplierId);
+        if (hasStock) {
+            if (!isPositiveNumber(row.qty)) rowErrors.push('qty must be a positive number');
+            if (!isValidDate(row.expiryDate)) rowErrors.push('expiryDate must be a valid date in YYYY-MM-DD format');
+            if (!blank(row.unitCost) && (isNaN(row.unitCost) || Number(row.unitCost) < 0)) {
+                rowErrors.push('unitCost must be a non-negative number');
+            }
+            if (locationId && !locationIds.has(locationId)) rowErrors.push('locationId is not a location in this workspace');
+            if (supplierId && !supplierIds.has(supplierId)) rowErrors.push('supplierId is not a supplier in this workspace');
+        }
+
+        if (rowErrors.length > 0) {
+            errors.push({ row: row._line, errors: rowErrors });
+            continue;
+        }
+
+        if (!entry) {
+            entry = existing
+                ? { productId: existing._id, name: existing.name, isNew: false, batches: [] }
+                : {
+                    name,
+                    isNew: true,
+                    product: { name, description: row.description, measure, minQty, reorderQty },
+                    batches: []
+                };
+            plan.set(key, entry);
+        }
+        // Barcodes and packs are only set on new products; existing ones are changed through the product API
+        if (entry.isNew && barcode !== undefined && !entry.product.barcode) {
+            entry.product.barcode = normalizeBarcode(barcode);
+            barcodes.set(entry.product.barcode, name);
+        }
+        if (entry.isNew && packs !== undefined && !entry.product.packs) {
+            entry.product.packs = packs.map(pack => ({ name: pack.name.trim(), size: Number(pack.size) }));
+        }
+        if (hasStock) {
+            entry.batches.push({
+                expiryDate: row.expiryDate,
+                qty: Number(row.qty),
+                locationId,
+                unitCost: optionalNumber(row.unitCost),
+                supplierId
+            });
+        }
+    }
+
+    return { errors, plan: [...plan.values()] };
+};
+
+/**
+ * Validates all rows and, unless this is a dry run or any row failed, creates the new
+ * products and stock batches. Nothing is written when there are row errors.
+ */
+export const importInventory = async ({ workspaceId, rows, dryRun, by }) => {
+    let productDoc = await Product.findOne({ workspaceId });
+    const [locationIds, supplierIds] = await Promise.all([
+        Location.distinct('_id', { workspaceId }),
+        Supplier.distinct('_id', { workspaceId })
+    ]);
+    const { errors, plan } = planImport(rows, productDoc?.allProducts || [], {
+        locationIds: new Set(locationIds.map(String)),
+        supplierIds: new Set(supplierIds.map(String))
+    });
+
+    const summary = {
+        rows: rows.length,
+        productsCreated: plan.filter(entry => entry.isNew).length,
+        batchesAdded: plan.reduce((sum, entry) => sum + entry.batches.length, 0)
+    };
+
+    if (errors.length > 0 || dryRun) {
+        return { ok: errors.length === 0, dryRun: !!dryRun, summary, errors };
+    }
+
+    const newProducts = plan.filter(entry => entry.isNew);
+    if (newProducts.length > 0) {
+        if (!productDoc) {
+            productDoc = new Product({ workspaceId, allProducts: [] });
+        }
+        for (const entry of newProducts) {
+            productDoc.allProducts.push(entry.product);
+            entry.productId = productDoc.allProducts[productDoc.allProducts.length - 1]._id;
+        }
+        await productDoc.save();
+    }
+
+    for (const entry of plan) {
+        if (entry.batches.length === 0) continue;
+        await addStockBatches({ workspaceId, productId: entry.productId, batches: entry.batches, by });
+    }
+
+    return { ok: true, dryRun: false, summary, errors: [] };
+};
+
+/**
+ * The workspace's products with their batches. Deleted batches are left out; used-up ones are kept
+ * with their entry history in JSON, while the flat CSV rows only list batches with stock left.
+ */
+export const exportInventory = async (workspaceId) => {
+    const [productDoc, stocks] = await Promise.all([
+        Product.findOne({ workspaceId }),
+        Stock.find({ workspaceId })
+    ]);
+
+    const stockByProduct = new Map(stocks.map(stock => [stock.productId.toString(), stock.stockDetail]));
+
+    const products = (productDoc?.allProducts || []).map(item => ({
+        productId: item._id,
+        name: item.name,
+        description: item.description,
+        measure: item.measure,
+        minQty: item.minQty,
+        reorderQty: item.reorderQty,
+        barcode: item.barcode,
+        packs: item.packs.map(pack => ({ name: pack.name, size: pack.size })),
+        archived: item.archived,
+        stock: (stockByProduct.get(item._id.toString()) || [])
+            .filter(batch => !batch.deletedAt)
+            .map(batch => ({
+                stockId: batch._id,
+                expiryDate: batch.expiryDate.toISOString().slice(0, 10),
+                qty: batch.qty,
+                locationId: batch.locationId,
+                unitCost: batch.unitCost,
+                supplierId: batch.supplierId,
+                entry: batch.entry
+            }))
+    }));
+
+    const rows = [];
+    for (const product of products) {
+        const live = product.stock.filter(batch => batch.qty > 0);
+        if (live.length === 0) {
+            rows.push(product);
+        }
+        for (const batch of live) {
+            rows.push({ ...product, expiryDate: batch.expiryDate, qty: batch.qty });
+        }
+    }
+
+    return { products, rows };
+};
@@ -0,0 +1,115 @@
+import { validateSchema, typeOf } from '../utils/schema.js';
+
+// Schema for every intent the chat accepts from the AI, in the rule subset of utils/schema.js
+
+const productItem = {
+    type: 'object',
+    required: ['name', 'description', 'measure'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        description: { type: 'string', minLength: 1 },
+        measure: { type: 'string', format: 'unit' }
+    }
+};
+
+// Either qty in the product's measure or a count of one of its packs (checked in validateIntentPayload)
+const stockItem = {
+    type: 'object',
+    required: ['expiryDate'],
+    properties: {
+        expiryDate: { type: 'string', format: 'date' },
+        qty: { type: 'number', exclusiveMinimum: 0 },
+        packs: { type: 'number', exclusiveMinimum: 0 },
+        pack: { type: 'string', minLength: 1 }
+    }
+};
+
+export const INTENT_SCHEMAS = {
+    add_product: {
+        required: ['data'],
+        properties: { data: { type: 'array', minItems: 1, items: productItem } }
+    },
+    add_stock: {
+        required: ['data'],
+        properties: { data: { type: 'array', minItems: 1, items: stockItem } }
+    },
+    use_stock: {
+        required: ['data'],
+        properties: {
+            data: {
+                type: 'object',
+                required: ['qty'],
+                properties: {
+                    qty: { type: 'number', exclusiveMinimum: 0 },
+                    name: { type: 'string', minLength: 1 },
+                    stockId: { type: 'string', minLength: 1 }
+                }
+            }
+        }
+    },
+    list_stock: {
+        properties: {}
+    },
+    check_expiring: {
+        properties: {
+            data: { type: 'object', properties: { days: { type: 'integer', minimum: 0 } } }
+        }
+    },
+    product_quantity: {
+        properties: {
+            data: { type: 'object', properties: { name: { type: 'string', minLength: 1 } } }
+        }
+    },
+    chat: {
+        required: ['reply'],
+        properties: { reply: { type: 'string', minLength: 1 } }
+    }
+};
+
+export const INTENTS = Object.keys(INTENT_SCHEMAS);
+
+/**
+ * Validates the payload for one intent ({ data } or { reply }).
+ * Returns a list of precise errors such as "data[0].qty must be greater than 0"; empty when valid.
+ */
+export const validateIntentPayload = (intent, payload) => {
+    const schema = INTENT_SCHEMAS[intent];
+    if (!schema) {
+        return [`intent must be one of: ${INTENTS.join(', ')}`];
+    }
+    const errors = validateSchema(payload, schema);
+    if (intent === 'add_stock' && errors.length === 0) {
+        payload.data.forEach((item, index) => {
+            if ((item.qty === undefined) === (item.packs === undefined)) {
+                errors.push(`data[${index}] must have either qty or packs`);
+            }
+        });
+    }
+    return errors;
+};
+
+/**
+ * Parses raw model output and validates it against INTENT_SCHEMAS.
+ * Returns { ok: true, value } or { ok: false, errors }.
+ */
+export const parseIntent = (text) => {
+    // Models sometimes wrap JSON in a code fence even in JSON mode
+    const cleaned = (text || '').replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, '').trim();
+
+    let value;
+    try {
+        value = JSON.parse(cleaned);
+    } catch (parseError) {
+        return { ok: false, errors: [`response is not valid JSON (${parseError.message})`] };
+    }
+
+    if (typeOf(value) !== 'object') {
+        return { ok: false, errors: [`response must be a JSON object, got ${typeOf(value)}`] };
+    }
+    if (!INTENTS.includes(value.intent)) {
+        return { ok: false, errors: [`intent must be one of: ${INTENTS.join(', ')}`] };
+    }
+
+    const errors = validateIntentPayload(value.intent, value);
+    return errors.length === 0 ? { ok: true, value } : { ok: false, errors };
+};
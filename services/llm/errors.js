@@ -0,0 +1,16 @@
+// Provider failures with a message that is safe to show to users
+export class LlmError extends Error {
+    constructor(message, { status, cause } = {}) {
+        super(message);
+        this.name = 'LlmError';
+        this.status = status;
+        this.cause = cause;
+    }
+}
+
+export class LlmConfigError extends LlmError {
+    constructor(message) {
+        super(message);
+        this.name = 'LlmConfigError';
+    }
+}
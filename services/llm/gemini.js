@@ -0,0 +1,47 @@
+import axios from 'axios';
+import { LlmError, LlmConfigError } from './errors.js';
+
+const BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+export const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash';
+
+/**
+ * Google Gemini adapter (generateContent). Needs GEMINI_API_KEY.
+ */
+export const createGeminiProvider = ({ model = DEFAULT_GEMINI_MODEL, apiKey = process.env.GEMINI_API_KEY } = {}) => {
+    if (!apiKey) {
+        throw new LlmConfigError('GEMINI_API_KEY not configured');
+    }
+
+    return {
+        name: 'gemini',
+        model,
+        async generate({ prompt, temperature, maxOutputTokens, json }) {
+            const generationConfig = { temperature, maxOutputTokens };
+            if (json) {
+                // Structured output: Gemini returns bare JSON without code fences or prose
+                generationConfig.responseMimeType = 'application/json';
+            }
+
+            const response = await axios.post(
+                `${BASE_URL}/${model}:generateContent?key=${apiKey}`,
+                {
+                    contents: [{ parts: [{ text: prompt }] }],
+                    generationConfig
+                }
+            ).catch(apiError => {
+                const status = apiError.response?.status;
+                if (status === 404) {
+                    console.error('Gemini API: Model not found. Check if the model name is correct and the API key has access.');
+                    throw new LlmError('AI service temporarily unavailable. Please try again later.', { status, cause: apiError });
+                }
+                if (status === 403) {
+                    console.error('Gemini API: Access forbidden. Check API key permissions.');
+                    throw new LlmError('AI service access denied. Please contact support.', { status, cause: apiError });
+                }
+                throw apiError;
+            });
+
+            return response.data?.candidates?.[0]?.content?.parts?.[0]?.text || '';
+        }
+    };
+};
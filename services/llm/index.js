@@ -0,0 +1,40 @@
+import { createGeminiProvider, DEFAULT_GEMINI_MODEL } from './gemini.js';
+import { createOpenAiCompatibleProvider } from './openaiCompatible.js';
+import { createMockProvider } from './mock.js';
+import { LlmConfigError } from './errors.js';
+
+export { LlmError, LlmConfigError } from './errors.js';
+
+const DEFAULT_TEMPERATURE = 0.1;
+const DEFAULT_MAX_OUTPUT_TOKENS = 500;
+
+const factories = {
+    gemini: (model) => createGeminiProvider({ model: model || DEFAULT_GEMINI_MODEL }),
+    openai: (model) => createOpenAiCompatibleProvider({ model }),
+    mock: (model) => createMockProvider({ model: model || 'mock' })
+};
+
+/**
+ * Builds the provider chosen by LLM_PROVIDER (gemini | openai | mock, default gemini) with
+ * LLM_MODEL. Throws LlmConfigError when the provider is unknown or missing settings.
+ *
+ * Every provider exposes generate({ prompt, temperature, maxOutputTokens, json }) -> Promise<string>.
+ * `json: true` asks for the provider's structured JSON mode where it has one.
+ */
+export const getLlmProvider = () => {
+    const name = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+    const factory = factories[name];
+    if (!factory) {
+        throw new LlmConfigError(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(factories).join(', ')}`);
+    }
+    return factory(process.env.LLM_MODEL);
+};
+
+// Generation settings from config, shared by every provider
+export const getGenerationConfig = () => {
+    const temperature = Number(process.env.LLM_TEMPERATURE);
+    return {
+        temperature: process.env.LLM_TEMPERATURE !== undefined && !isNaN(temperature) ? temperature : DEFAULT_TEMPERATURE,
+        maxOutputTokens: Number(process.env.LLM_MAX_OUTPUT_TOKENS) || DEFAULT_MAX_OUTPUT_TOKENS
+    };
+};
@@ -0,0 +1,53 @@
+// Deterministic provider for tests and offline development: no network, same input, same output.
+// LLM_MOCK_RESPONSE, when set, is returned verbatim; otherwise a few keyword rules pick an intent.
+
+const lastUserMessage = (prompt) => {
+    const index = prompt.lastIndexOf('User message:');
+    return index === -1 ? prompt : prompt.slice(index + 'User message:'.length).trim();
+};
+
+const respondTo = (message) => {
+    const text = message.toLowerCase();
+
+    const stock = text.match(/^add\s+(\d+(?:\.\d+)?)\b.*?(\d{4}-\d{2}-\d{2})/);
+    if (stock) {
+        return { intent: 'add_stock', data: [{ qty: Number(stock[1]), expiryDate: stock[2] }] };
+    }
+
+    if (/expir/.test(text)) {
+        const days = text.match(/(\d+)\s*day/);
+        return { intent: 'check_expiring', data: { days: days ? Number(days[1]) : 7 } };
+    }
+
+    const howMuch = text.match(/how (?:much|many)\s+(.+?)(?:\s+do i have)?\??$/);
+    if (howMuch) {
+        return { intent: 'product_quantity', data: { name: howMuch[1].trim() } };
+    }
+
+    if (/what do i have|list (?:my )?stock|in stock/.test(text)) {
+        return { intent: 'list_stock' };
+    }
+
+    const used = text.match(/^(?:i )?(?:used?|consumed?|ate)\s+(\d+(?:\.\d+)?)\s*(?:\w+\s+of\s+)?(.*)$/);
+    if (used) {
+        const data = { qty: Number(used[1]) };
+        if (used[2]) data.name = used[2].trim();
+        return { intent: 'use_stock', data };
+    }
+
+    const product = message.match(/^add (?:a )?(?:new )?product\s+(.+)$/i);
+    if (product) {
+        return { intent: 'add_product', data: [{ name: product[1].trim(), description: product[1].trim(), measure: 'pcs' }] };
+    }
+
+    return { intent: 'chat', reply: `Mock reply to: ${message}` };
+};
+
+export const createMockProvider = ({ model = 'mock', response = process.env.LLM_MOCK_RESPONSE } = {}) => ({
+    name: 'mock',
+    model,
+    async generate({ prompt }) {
+        if (response !== undefined) return response;
+        return JSON.stringify(respondTo(lastUserMessage(prompt)));
+    }
+});
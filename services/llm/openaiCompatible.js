@@ -0,0 +1,64 @@
+import axios from 'axios';
+import { LlmError, LlmConfigError } from './errors.js';
+
+// Ollama's OpenAI-compatible endpoint; llama.cpp's server defaults to http://localhost:8080/v1
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * Adapter for any server exposing the OpenAI chat completions API (Ollama, llama.cpp, vLLM...).
+ * LLM_BASE_URL points at the /v1 root; LLM_API_KEY is sent when set. JSON requests use
+ * response_format json_object.
+ */
+export const createOpenAiCompatibleProvider = ({
+    model,
+    baseUrl = process.env.LLM_BASE_URL || DEFAULT_BASE_URL,
+    apiKey = process.env.LLM_API_KEY,
+    // Some older servers reject response_format; LLM_JSON_MODE=false leaves it out
+    jsonMode = process.env.LLM_JSON_MODE !== 'false'
+} = {}) => {
+    if (!model) {
+        throw new LlmConfigError('LLM_MODEL must be set for the openai provider');
+    }
+
+    const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+    return {
+        name: 'openai',
+        model,
+        async generate({ prompt, temperature, maxOutputTokens, json }) {
+            const body = {
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature,
+                max_tokens: maxOutputTokens
+            };
+            if (json && jsonMode) {
+                body.response_format = { type: 'json_object' };
+            }
+
+            const response = await axios.post(
+                url,
+                body,
+                { headers }
+            ).catch(apiError => {
+                const status = apiError.response?.status;
+                if (!apiError.response) {
+                    console.error(`LLM server unreachable at ${url}`);
+                    throw new LlmError('AI service temporarily unavailable. Please try again later.', { cause: apiError });
+                }
+                if (status === 404) {
+                    console.error(`LLM server: model "${model}" not found.`);
+                    throw new LlmError('AI service temporarily unavailable. Please try again later.', { status, cause: apiError });
+                }
+                if (status === 401 || status === 403) {
+                    console.error('LLM server: access denied. Check LLM_API_KEY.');
+                    throw new LlmError('AI service access denied. Please contact support.', { status, cause: apiError });
+                }
+                throw apiError;
+            });
+
+            return response.data?.choices?.[0]?.message?.content || '';
+        }
+    };
+};
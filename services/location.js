@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+import Location from '../model/Location.js';
+import Stock from '../model/Stock.js';
+
+// One of the workspace's locations, or null (also for ids that aren't ObjectIds)
+export const findLocation = async (workspaceId, locationId) => {
+    if (!mongoose.isValidObjectId(locationId)) return null;
+    return Location.findOne({ _id: locationId, workspaceId });
+};
+
+// Live batches (not deleted, quantity left) per location id; unassigned batches are under 'none'
+export const countBatchesByLocation = async (workspaceId) => {
+    const rows = await Stock.aggregate([
+        { $match: { workspaceId: new mongoose.Types.ObjectId(workspaceId) } },
+        { $unwind: '$stockDetail' },
+        { $match: { 'stockDetail.deletedAt': null, 'stockDetail.qty': { $gt: 0 } } },
+        { $group: { _id: '$stockDetail.locationId', batches: { $sum: 1 } } }
+    ]);
+    return new Map(rows.map(row => [row._id ? row._id.toString() : 'none', row.batches]));
+};
+
+// Clears the location from every batch in it; returns how many Stock documents changed
+export const unassignLocation = async (workspaceId, locationId) => {
+    const result = await Stock.updateMany(
+        { workspaceId, 'stockDetail.locationId': locationId },
+        { $unset: { 'stockDetail.$[batch].locationId': '' } },
+        { arrayFilters: [{ 'batch.locationId': new mongoose.Types.ObjectId(locationId) }] }
+    );
+    return result.modifiedCount;
+};
@@ -0,0 +1,7 @@
+// Prints every message to stdout, so links can be copied during local development
+export const createConsoleTransport = () => ({
+    name: 'console',
+    async send({ to, subject, text }) {
+        console.log(`--- Mail to ${to} ---\nSubject: ${subject}\n\n${text}\n--- End of mail ---`);
+    }
+});
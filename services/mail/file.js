@@ -0,0 +1,10 @@
+import { appendFile } from 'fs/promises';
+
+// Appends every message to `path`, one block per message, for offline testing
+export const createFileTransport = ({ path }) => ({
+    name: 'file',
+    async send({ to, subject, text }) {
+        const block = [`Date: ${new Date().toISOString()}`, `To: ${to}`, `Subject: ${subject}`, '', text, '', '----', ''].join('\n');
+        await appendFile(path, block, 'utf8');
+    }
+});
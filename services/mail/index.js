@@ -0,0 +1,34 @@
+import { createConsoleTransport } from './console.js';
+import { createFileTransport } from './file.js';
+
+const DEFAULT_MAIL_FILE = 'mail.log';
+
+const factories = {
+    console: () => createConsoleTransport(),
+    file: () => createFileTransport({ path: process.env.MAIL_FILE || DEFAULT_MAIL_FILE })
+};
+
+/**
+ * Builds the transport chosen by MAIL_TRANSPORT (console | file, default console).
+ * Every transport exposes send({ to, subject, text }) -> Promise<void>; add a factory here
+ * to deliver real mail.
+ */
+export const getMailTransport = () => {
+    const name = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+    const factory = factories[name];
+    if (!factory) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(factories).join(', ')}`);
+    }
+    return factory();
+};
+
+// Sends one message, logging instead of throwing so a mail failure never breaks the request
+export const sendMail = async (message) => {
+    try {
+        await getMailTransport().send(message);
+        return true;
+    } catch (error) {
+        console.error(`Failed to send mail to ${message.to}:`, error.message);
+        return false;
+    }
+};
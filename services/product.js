@@ -0,0 +1,59 @@
+import Product from '../model/Product.js';
+import { normalizeBarcode } from '../utils/barcode.js';
+import { roundQty } from '../utils/units.js';
+
+/**
+ * Finds one of the workspace's active products by name: an exact (case-insensitive) match first,
+ * then a product whose name contains the search text. Returns null when nothing matches.
+ */
+export const findProductByName = async (workspaceId, name) => {
+    if (!name) return null;
+
+    const product = await Product.findOne({ workspaceId });
+    const active = (product?.allProducts || []).filter(item => !item.archived);
+    const search = name.trim().toLowerCase();
+
+    return active.find(item => item.name.toLowerCase() === search)
+        || active.find(item => item.name.toLowerCase().includes(search))
+        || null;
+};
+
+// One of the workspace's products by id, or null
+export const findProductById = async (workspaceId, productId) => {
+    const product = await Product.findOne({ workspaceId });
+    return product?.allProducts.id(productId) || null;
+};
+
+// The product (archived or not) with this barcode, or null
+export const findProductByBarcode = async (workspaceId, barcode) => {
+    const product = await Product.findOne({ workspaceId });
+    const code = normalizeBarcode(barcode);
+    return product?.allProducts.find(item => item.barcode === code) || null;
+};
+
+// Another product in `products` that already uses `barcode`, ignoring `exceptId`
+export const findBarcodeConflict = (products, barcode, exceptId) => {
+    const code = normalizeBarcode(barcode);
+    return products.find(item => item.barcode === code && item._id.toString() !== String(exceptId)) || null;
+};
+
+// True when two packs share a name (case-insensitive); pack names must pick out one pack
+export const hasDuplicatePackNames = (packs) => {
+    const names = (packs || []).map(pack => pack.name.trim().toLowerCase());
+    return new Set(names).size !== names.length;
+};
+
+// The product's pack called `name`, or its only pack when no name is given; null otherwise
+export const findPack = (product, name) => {
+    const packs = product.packs || [];
+    if (!name) return packs.length === 1 ? packs[0] : null;
+    const search = name.trim().toLowerCase();
+    return packs.find(pack => pack.name.toLowerCase() === search) || null;
+};
+
+// A base-unit quantity expressed in each of the product's packs, e.g. 7.5 kg -> 1.5 bag of 5
+export const packView = (product, qty) => (product.packs || []).map(pack => ({
+    pack: pack.name,
+    size: pack.size,
+    count: roundQty(qty / pack.size)
+}));
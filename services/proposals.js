@@ -0,0 +1,57 @@
+import Proposal from '../model/Proposal.js';
+import Conversation from '../model/Conversation.js';
+import { describeWriteIntent } from './chatIntents.js';
+
+const DEFAULT_TTL_MINUTES = 15;
+
+// Shape returned to the UI for rendering a confirm/edit/reject card
+export const formatProposal = (proposal) => ({
+    id: proposal._id,
+    workspaceId: proposal.workspaceId,
+    intent: proposal.intent,
+    productId: proposal.productId,
+    data: proposal.data,
+    summary: proposal.summary,
+    status: proposal.status,
+    expiresAt: proposal.expiresAt
+});
+
+export const createProposal = async ({ userId, workspaceId, conversationId, productId, intent, data }) => {
+    const ttlMinutes = Number(process.env.PROPOSAL_TTL_MINUTES) || DEFAULT_TTL_MINUTES;
+    const summary = await describeWriteIntent({ workspaceId, productId, intent, data });
+
+    return Proposal.create({
+        userId,
+        workspaceId,
+        conversationId,
+        productId: productId || undefined,
+        intent,
+        data,
+        summary,
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    });
+};
+
+// Marks a pending proposal past its expiry as expired; returns true if it was stale
+export const expireIfStale = async (proposal) => {
+    if (proposal.status !== 'pending' || proposal.expiresAt > new Date()) return false;
+
+    proposal.status = 'expired';
+    proposal.resolvedAt = new Date();
+    await proposal.save();
+    return true;
+};
+
+// Records how a proposal was resolved in its conversation, so the history stays accurate
+export const noteInConversation = async (proposal, content) => {
+    if (!proposal.conversationId) return;
+
+    try {
+        await Conversation.updateOne(
+            { _id: proposal.conversationId, userId: proposal.userId },
+            { $push: { messages: { role: 'assistant', content, action: { intent: proposal.intent, data: proposal.data } } } }
+        );
+    } catch (error) {
+        console.error('Failed to update conversation for proposal:', error);
+    }
+};
@@ -0,0 +1,51 @@
+import RateLimit from '../model/RateLimit.js';
+
+// Seconds until a locked key opens again, or 0 when it is not locked
+export const getLockSeconds = async (key) => {
+    const limit = await RateLimit.findOne({ key, lockedUntil: { $gt: new Date() } });
+    return limit ? Math.ceil((limit.lockedUntil - Date.now()) / 1000) : 0;
+};
+
+/**
+ * Counts one hit on `key` in a fixed window of `windowMs`. The hit that brings the count to
+ * `limit` locks the key for `lockMs` (default: the rest of the window).
+ * Returns { count, lockSeconds }; lockSeconds is 0 unless the key is now locked.
+ */
+export const recordHit = async (key, { limit, windowMs, lockMs }) => {
+    const now = new Date();
+    const windowOpen = { $gt: ['$resetAt', now] };
+
+    // One atomic update: start a new window if the old one ended, count, then lock if needed
+    const doc = await RateLimit.findOneAndUpdate(
+        { key },
+        [
+            {
+                $set: {
+                    count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+                    resetAt: { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + windowMs)] }
+                }
+            },
+            {
+                $set: {
+                    lockedUntil: {
+                        $cond: [
+                            { $gte: ['$count', limit] },
+                            { $max: ['$lockedUntil', lockMs ? new Date(now.getTime() + lockMs) : '$resetAt'] },
+                            '$lockedUntil'
+                        ]
+                    }
+                }
+            },
+            { $set: { expiresAt: { $max: ['$resetAt', '$lockedUntil'] } } }
+        ],
+        { upsert: true, new: true }
+    );
+
+    const lockSeconds = doc.lockedUntil > now ? Math.ceil((doc.lockedUntil - now) / 1000) : 0;
+    return { count: doc.count, lockSeconds };
+};
+
+// Forgets a key, e.g. an account's failed logins after a successful one
+export const resetKey = async (key) => {
+    await RateLimit.deleteOne({ key });
+};
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import Product from '../model/Product.js';
+import Stock from '../model/Stock.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_LOOKBACK_DAYS = 30;
+export const DEFAULT_COVER_DAYS = 14;
+
+/**
+ * Live quantity per product (sum of stockDetail.qty) and quantity used since `since`
+ * (sum of 'sub' entries), both keyed by productId string.
+ */
+export const getTotalsAndUsage = async (workspaceId, since) => {
+    const [result] = await Stock.aggregate([
+        { $match: { workspaceId: new mongoose.Types.ObjectId(workspaceId) } },
+        { $unwind: '$stockDetail' },
+        {
+            $facet: {
+                totals: [
+                    { $group: { _id: '$productId', qty: { $sum: '$stockDetail.qty' } } }
+                ],
+                usage: [
+                    { $unwind: '$stockDetail.entry' },
+                    { $match: { 'stockDetail.entry.type': 'sub', 'stockDetail.entry.time': { $gte: since } } },
+                    { $group: { _id: '$productId', used: { $sum: '$stockDetail.entry.usedQty' } } }
+                ]
+            }
+        }
+    ]);
+
+    const totals = new Map(result.totals.map(row => [row._id.toString(), row.qty]));
+    const usage = new Map(result.usage.map(row => [row._id.toString(), row.used]));
+    return { totals, usage };
+};
+
+/**
+ * Products that need restocking. A product with minQty is due when its live qty is below it;
+ * the suggestion is reorderQty, or whatever brings it back up to minQty. Without a threshold,
+ * recent consumption decides: due when stock covers fewer than coverDays of average use.
+ */
+export const buildReorderList = async (workspaceId, { lookbackDays = DEFAULT_LOOKBACK_DAYS, coverDays = DEFAULT_COVER_DAYS } = {}) => {
+    const product = await Product.findOne({ workspaceId });
+    if (!product) return [];
+
+    const since = new Date(Date.now() - lookbackDays * DAY_MS);
+    const { totals, usage } = await getTotalsAndUsage(workspaceId, since);
+
+    const list = [];
+    for (const item of product.allProducts) {
+        if (item.archived) continue;
+
+        const key = item._id.toString();
+        const currentQty = totals.get(key) || 0;
+        const dailyUsage = (usage.get(key) || 0) / lookbackDays;
+
+        if (item.minQty != null) {
+            if (currentQty >= item.minQty) continue;
+            list.push({
+                productId: item._id,
+                name: item.name,
+                measure: item.measure,
+                currentQty,
+                minQty: item.minQty,
+                suggestedQty: item.reorderQty || item.minQty - currentQty,
+                basis: 'threshold'
+            });
+            continue;
+        }
+
+        if (dailyUsage <= 0) continue;
+
+        const targetQty = Math.ceil(dailyUsage * coverDays);
+        if (currentQty >= targetQty) continue;
+
+        list.push({
+            productId: item._id,
+            name: item.name,
+            measure: item.measure,
+            currentQty,
+            dailyUsage: Number(dailyUsage.toFixed(2)),
+            daysLeft: Number((currentQty / dailyUsage).toFixed(1)),
+            suggestedQty: item.reorderQty || targetQty - currentQty,
+            basis: 'consumption'
+        });
+    }
+
+    return list;
+};
@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+import Session from '../model/Session.js';
+import { createToken } from '../middleware/auth.js';
+import { randomToken, hashToken } from '../utils/tokens.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+// Rotated-out hashes kept per session for reuse detection
+const MAX_USED_HASHES = 20;
+
+export const refreshTokenTtlMs = () => (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || DEFAULT_REFRESH_TOKEN_TTL_DAYS) * DAY_MS;
+
+// Refresh tokens are "<sessionId>.<secret>"; returns null for anything else
+const parseRefreshToken = (refreshToken) => {
+    if (typeof refreshToken !== 'string') return null;
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+    return { sessionId, secret };
+};
+
+const tokensFor = (session, secret) => ({
+    token: createToken(session.userId, session._id),
+    refreshToken: `${session._id}.${secret}`
+});
+
+/**
+ * Starts a session for a user who just signed in and returns its access and refresh tokens.
+ */
+export const createSession = async ({ userId, userAgent, ip }) => {
+    const secret = randomToken();
+    const session = await Session.create({
+        userId,
+        tokenHash: hashToken(secret),
+        userAgent,
+        ip,
+        expiresAt: new Date(Date.now() + refreshTokenTtlMs())
+    });
+    return { session, ...tokensFor(session, secret) };
+};
+
+/**
+ * Swaps a refresh token for a new access token and a new refresh token; the old one stops working.
+ * Presenting a refresh token that was already rotated out means it leaked, so the whole session is
+ * revoked. Returns { session, token, refreshToken }, or { status, body } when refused.
+ */
+export const rotateSession = async (refreshToken, { userAgent, ip } = {}) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+        return { status: 401, body: { error: 'Invalid refresh token' } };
+    }
+
+    const presentedHash = hashToken(parsed.secret);
+    const secret = randomToken();
+    const now = new Date();
+
+    const session = await Session.findOneAndUpdate(
+        { _id: parsed.sessionId, tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: { tokenHash: hashToken(secret), lastUsedAt: now, ...(userAgent && { userAgent }), ...(ip && { ip }) },
+            $push: { usedTokenHashes: { $each: [presentedHash], $slice: -MAX_USED_HASHES } }
+        },
+        { new: true }
+    );
+    if (session) {
+        return { session, ...tokensFor(session, secret) };
+    }
+
+    const existing = await Session.findById(parsed.sessionId);
+    if (existing?.usedTokenHashes.includes(presentedHash)) {
+        if (!existing.revokedAt) {
+            existing.revokedAt = now;
+            existing.revokedReason = 'reuse_detected';
+            await existing.save();
+            console.warn(`Refresh token reuse detected for session ${existing._id}; session revoked`);
+        }
+        return { status: 401, body: { error: 'Refresh token was already used. Please sign in again.' } };
+    }
+    if (existing?.revokedAt) {
+        return { status: 401, body: { error: 'Session has been signed out' } };
+    }
+    if (existing && existing.expiresAt <= now) {
+        return { status: 401, body: { error: 'Session has expired' } };
+    }
+    return { status: 401, body: { error: 'Invalid refresh token' } };
+};
+
+/**
+ * The session a refresh token currently belongs to, or null. Used by logout, which must not
+ * need a valid access token.
+ */
+export const findSessionByRefreshToken = async (refreshToken) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return null;
+    return Session.findOne({ _id: parsed.sessionId, tokenHash: hashToken(parsed.secret), revokedAt: null });
+};
+
+// Active sessions, most recently used first; `current` marks the caller's own session
+export const listSessions = async (userId, currentSessionId) => {
+    const sessions = await Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .sort({ lastUsedAt: -1 });
+    return sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === currentSessionId
+    }));
+};
+
+// Revokes one of the user's sessions; returns false if there was no such active session
+export const revokeSession = async ({ userId, sessionId, reason }) => {
+    if (!mongoose.isValidObjectId(sessionId)) return false;
+    const result = await Session.updateOne(
+        { _id: sessionId, userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount > 0;
+};
+
+// Revokes every active session of the user, optionally keeping one; returns how many were revoked
+export const revokeAllSessions = async ({ userId, exceptSessionId, reason }) => {
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+    const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+    return result.modifiedCount;
+};
@@ -0,0 +1,151 @@
+import ShoppingList from '../model/ShoppingList.js';
+import Product from '../model/Product.js';
+import { buildReorderList } from './reorder.js';
+import { receiveStock } from './stock.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Bought items stay visible this long, then sync drops them
+const BOUGHT_RETENTION_DAYS = 30;
+
+// The workspace's list, created empty on first use
+export const getShoppingList = (workspaceId) => ShoppingList.findOneAndUpdate(
+    { workspaceId },
+    { $setOnInsert: { workspaceId, items: [] } },
+    { upsert: true, new: true }
+);
+
+/**
+ * Brings the automatic part of the list in line with the reorder list: adds products that need
+ * restocking, updates the quantity of open auto items and drops auto items that are no longer
+ * needed. Manual and edited items are left alone, and a product that already has an open or
+ * dismissed item is not added again.
+ */
+export const syncShoppingList = async (workspaceId) => {
+    const [list, needs] = await Promise.all([getShoppingList(workspaceId), buildReorderList(workspaceId)]);
+    const needsById = new Map(needs.map(need => [need.productId.toString(), need]));
+    const boughtCutoff = new Date(Date.now() - BOUGHT_RETENTION_DAYS * DAY_MS);
+
+    const keep = list.items.filter(item => {
+        if (item.status === 'bought') return item.boughtAt >= boughtCutoff;
+        if (item.source !== 'auto') return true;
+        return needsById.has(item.productId.toString());
+    });
+    if (keep.length !== list.items.length) {
+        list.items = keep;
+    }
+
+    const covered = new Set();
+    for (const item of list.items) {
+        if (item.status === 'bought' || !item.productId) continue;
+        const key = item.productId.toString();
+        covered.add(key);
+
+        const need = needsById.get(key);
+        if (item.source === 'auto' && item.status === 'open' && need && (item.qty !== need.suggestedQty || item.basis !== need.basis)) {
+            item.qty = need.suggestedQty;
+            item.basis = need.basis;
+        }
+    }
+
+    for (const need of needs) {
+        if (covered.has(need.productId.toString())) continue;
+        list.items.push({ productId: need.productId, name: need.name, qty: need.suggestedQty, source: 'auto', basis: need.basis });
+    }
+
+    if (list.isModified()) {
+        try {
+            await list.save();
+        } catch (error) {
+            // Someone changed the list meanwhile; their change wins and the next sync catches up
+            if (error.name !== 'VersionError') throw error;
+            return getShoppingList(workspaceId);
+        }
+    }
+    return list;
+};
+
+/**
+ * Open items first (oldest first), then bought ones (newest first); dismissed items are hidden.
+ * Product names and measures come from the catalogue so renames show up.
+ */
+export const formatShoppingList = async (list) => {
+    const product = await Product.findOne({ workspaceId: list.workspaceId });
+    const productsById = new Map((product?.allProducts || []).map(item => [item._id.toString(), item]));
+
+    const format = (item) => {
+        const catalogue = item.productId ? productsById.get(item.productId.toString()) : null;
+        return {
+            id: item._id,
+            productId: item.productId,
+            name: catalogue?.name || item.name,
+            measure: catalogue?.measure,
+            qty: item.qty,
+            note: item.note,
+            source: item.source,
+            basis: item.basis,
+            status: item.status,
+            addedAt: item.addedAt,
+            boughtAt: item.boughtAt,
+            boughtQty: item.boughtQty,
+            stockId: item.stockId
+        };
+    };
+
+    const open = list.items.filter(item => item.status === 'open').sort((a, b) => a.addedAt - b.addedAt);
+    const bought = list.items.filter(item => item.status === 'bought').sort((a, b) => b.boughtAt - a.boughtAt);
+    return { items: open.map(format), bought: bought.map(format) };
+};
+
+/**
+ * Marks an open item bought and adds the purchase as a stock batch through receiveStock, so it
+ * follows the same rules as /stock/add. The item is claimed first, so a double submit can't add
+ * the stock twice; if adding the stock fails the item is reopened and the error rethrown.
+ * Without qty or packs, the item's own quantity (in the product's measure) is bought.
+ * Returns { status, body } when the item can't be bought, otherwise { item, ...receiveStock result }.
+ */
+export const markItemBought = async ({ workspaceId, itemId, purchase, by }) => {
+    const list = await ShoppingList.findOne({ workspaceId, 'items._id': itemId });
+    const item = list?.items.id(itemId);
+    if (!item || item.status === 'dismissed') {
+        return { status: 404, body: { error: 'Shopping list item not found' } };
+    }
+    if (item.status === 'bought') {
+        return { status: 409, body: { error: 'Item is already bought' } };
+    }
+
+    const productId = purchase.productId || item.productId;
+    if (!productId) {
+        return { status: 400, body: { error: 'This item is not linked to a product. Send productId to choose one' } };
+    }
+
+    // Bumping __v makes a sync that loaded the list before this claim fail instead of undoing it
+    const claimed = await ShoppingList.updateOne(
+        { workspaceId, items: { $elemMatch: { _id: itemId, status: 'open' } } },
+        { $set: { 'items.$.status': 'bought', 'items.$.boughtAt': new Date(), 'items.$.boughtBy': by }, $inc: { __v: 1 } }
+    );
+    if (claimed.modifiedCount === 0) {
+        return { status: 409, body: { error: 'Item is already bought' } };
+    }
+
+    const amount = purchase.qty === undefined && purchase.packs === undefined
+        ? { qty: item.qty, unit: undefined }
+        : {};
+
+    let result;
+    try {
+        result = await receiveStock({ ...purchase, ...amount, workspaceId, productId, by });
+    } catch (error) {
+        await ShoppingList.updateOne(
+            { workspaceId, 'items._id': itemId },
+            { $set: { 'items.$.status': 'open' }, $unset: { 'items.$.boughtAt': '', 'items.$.boughtBy': '' }, $inc: { __v: 1 } }
+        );
+        throw error;
+    }
+
+    const updated = await ShoppingList.findOneAndUpdate(
+        { workspaceId, 'items._id': itemId },
+        { $set: { 'items.$.productId': productId, 'items.$.boughtQty': result.qty, 'items.$.stockId': result.batch._id } },
+        { new: true }
+    );
+    return { item: updated.items.id(itemId), ...result };
+};
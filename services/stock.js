@@ -0,0 +1,322 @@
+import mongoose from 'mongoose';
+import Stock from '../model/Stock.js';
+import { startOfToday } from './expiry.js';
+import { findProductById, findPack } from './product.js';
+import { findLocation } from './location.js';
+import { findSupplier } from './supplier.js';
+import { convertQty, roundQty } from '../utils/units.js';
+
+// Thrown for requests the stock rules reject; routes answer with `status` and `message`
+export class StockError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = 'StockError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Signed effect of one entry on a batch's qty ('edit' only changes the expiry date)
+const entryChange = {
+    $switch: {
+        branches: [
+            { case: { $eq: ['$$entry.type', 'add'] }, then: '$$entry.usedQty' },
+            { case: { $in: ['$$entry.type', ['sub', 'discard']] }, then: { $multiply: ['$$entry.usedQty', -1] } },
+            { case: { $in: ['$$entry.type', ['adjust', 'delete', 'transfer']] }, then: { $ifNull: ['$$entry.delta', 0] } }
+        ],
+        default: 0
+    }
+};
+
+/**
+ * Adds one or more batches ({ expiryDate, qty, locationId, unitCost, supplierId }) to a product's stock, creating the Stock
+ * document on first use. Every batch starts with an 'add' ledger entry.
+ * Returns the new batch subdocuments and whether the Stock document was created.
+ */
+export const addStockBatches = async ({ workspaceId, productId, batches, by }) => {
+    const time = new Date();
+    const details = batches.map(batch => ({
+        expiryDate: batch.expiryDate,
+        qty: Number(batch.qty),
+        locationId: batch.locationId || undefined,
+        unitCost: batch.unitCost ?? undefined,
+        supplierId: batch.supplierId || undefined,
+        entry: [{ usedQty: Number(batch.qty), time, type: 'add', by }]
+    }));
+
+    let stock = await Stock.findOne({ workspaceId, productId });
+    const created = !stock;
+    if (created) {
+        stock = await Stock.create({ workspaceId, productId, stockDetail: details });
+    } else {
+        stock.stockDetail.push(...details);
+        await stock.save();
+    }
+
+    return { created, batches: stock.stockDetail.slice(-details.length) };
+};
+
+/**
+ * Converts a quantity to the product's base unit (its measure): either `packs` of one of the
+ * product's packs, or `qty` in `unit`. Without a unit, qty is taken to be in the base unit
+ * already. Returns { product, qty }.
+ */
+export const toBaseQty = async ({ workspaceId, productId, qty, unit, packs, pack }) => {
+    const product = await findProductById(workspaceId, productId);
+    if (!product) {
+        throw new StockError(404, 'Product not found');
+    }
+    if (packs !== undefined && packs !== null) {
+        const found = findPack(product, pack);
+        if (!found) {
+            const names = (product.packs || []).map(item => item.name);
+            const message = names.length === 0
+                ? `${product.name} has no packs defined`
+                : pack ? `${product.name} has no pack called "${pack}"` : `Say which pack: ${names.join(', ')}`;
+            throw new StockError(400, message, { packs: names });
+        }
+        return { product, qty: roundQty(Number(packs) * found.size) };
+    }
+    if (unit === undefined || unit === null) {
+        return { product, qty: Number(qty) };
+    }
+
+    const converted = convertQty(qty, unit, product.measure);
+    if (converted === null) {
+        throw new StockError(400, `Cannot convert ${unit} to ${product.measure}`, { unit, measure: product.measure });
+    }
+    if (converted <= 0) {
+        throw new StockError(400, 'Quantity must be a positive number');
+    }
+    return { product, qty: converted };
+};
+
+/**
+ * Adds one purchased batch the way /stock/add does: qty in `unit` or a count of `packs`, an
+ * optional location and supplier, and unitCost per pack or per `unit` as entered (stored per base
+ * unit). Shared by /stock/add and the shopping list so buying and restocking apply the same rules.
+ * Returns { created, product, batch, qty, unitCost } with qty and unitCost in the base unit.
+ */
+export const receiveStock = async ({ workspaceId, productId, expiryDate, qty, unit, packs, pack, locationId, unitCost, supplierId, by }) => {
+    if ((qty === undefined || qty === null) === (packs === undefined || packs === null)) {
+        throw new StockError(400, 'Provide either qty or packs');
+    }
+    if (locationId && !(await findLocation(workspaceId, locationId))) {
+        throw new StockError(404, 'Location not found');
+    }
+    if (supplierId && !(await findSupplier(workspaceId, supplierId))) {
+        throw new StockError(404, 'Supplier not found');
+    }
+
+    const { product, qty: baseQty } = await toBaseQty({ workspaceId, productId, qty, unit, packs, pack });
+    const baseUnitCost = unitCost === undefined || unitCost === null
+        ? undefined
+        : roundQty((Number(unitCost) * Number(packs ?? qty)) / baseQty);
+
+    const { created, batches } = await addStockBatches({
+        workspaceId,
+        productId,
+        batches: [{ expiryDate, qty: baseQty, locationId, unitCost: baseUnitCost, supplierId }],
+        by
+    });
+    return { created, product, batch: batches[0], qty: baseQty, unitCost: baseUnitCost };
+};
+
+/**
+ * Takes usedQty from one batch and records a 'sub' entry. Shared by /stock/use and the chat
+ * use_stock intent so both apply the same checks.
+ */
+export const useStock = async ({ workspaceId, productId, stockId, usedQty, by }) => {
+    if (!usedQty || isNaN(usedQty) || usedQty <= 0) {
+        throw new StockError(400, 'Used quantity must be a positive number');
+    }
+
+    const stock = await Stock.findOne({ workspaceId, productId, stockDetail: { $elemMatch: { _id: stockId } } });
+    if (!stock) {
+        throw new StockError(404, 'Stock not found');
+    }
+
+    const stockItem = stock.stockDetail.id(stockId);
+    if (!stockItem || stockItem.deletedAt) {
+        throw new StockError(404, 'Stock item not found');
+    }
+
+    const used = roundQty(Number(usedQty));
+    if (used > roundQty(stockItem.qty)) {
+        throw new StockError(400, 'Used quantity exceeds available stock', { available: roundQty(stockItem.qty) });
+    }
+
+    stockItem.qty = roundQty(stockItem.qty - used);
+    stockItem.entry.push({ usedQty: used, time: new Date(), type: 'sub', by });
+    await stock.save();
+    return stockItem;
+};
+
+/**
+ * Moves a batch, or `qty` of it, to another location (toLocationId null means no location).
+ * Moving all of it relocates the batch; moving part splits off a new batch with the same expiry.
+ * Both sides get a 'transfer' entry whose delta keeps the ledger balanced.
+ * Returns { source, destination }, which are the same batch for a full move.
+ */
+export const transferStock = async ({ workspaceId, productId, stockId, qty, toLocationId, by }) => {
+    const stock = await Stock.findOne({ workspaceId, productId, stockDetail: { $elemMatch: { _id: stockId } } });
+    const source = stock?.stockDetail.id(stockId);
+    if (!source || source.deletedAt) {
+        throw new StockError(404, 'Stock not found');
+    }
+
+    const fromLocationId = source.locationId || undefined;
+    const to = toLocationId || undefined;
+    if (String(fromLocationId || '') === String(to || '')) {
+        throw new StockError(400, 'Batch is already in that location');
+    }
+    if (source.qty <= 0) {
+        throw new StockError(400, 'Batch is empty');
+    }
+
+    const available = roundQty(source.qty);
+    const moveQty = qty === undefined || qty === null ? available : roundQty(Number(qty));
+    if (moveQty > available) {
+        throw new StockError(400, 'Transfer quantity exceeds available stock', { available });
+    }
+
+    const move = { time: new Date(), type: 'transfer', usedQty: moveQty, fromLocationId, toLocationId: to, by };
+
+    if (moveQty === available) {
+        source.qty = available;
+        source.locationId = to;
+        source.entry.push({ ...move, delta: 0 });
+        await stock.save();
+        return { source, destination: source };
+    }
+
+    stock.stockDetail.push({
+        expiryDate: source.expiryDate,
+        qty: moveQty,
+        locationId: to,
+        unitCost: source.unitCost,
+        supplierId: source.supplierId,
+        entry: [{ ...move, delta: moveQty, linkedStockId: source._id }]
+    });
+    const destination = stock.stockDetail[stock.stockDetail.length - 1];
+
+    source.qty = roundQty(source.qty - moveQty);
+    source.entry.push({ ...move, delta: -moveQty, linkedStockId: destination._id });
+    await stock.save();
+    return { source, destination };
+};
+
+/**
+ * Takes qty across batches in earliest-expiry order (FEFO), writing a 'sub' entry on each batch
+ * it touches. Returns what was taken from which batch.
+ */
+export const consumeStock = async ({ workspaceId, productId, qty, skipExpired, by }) => {
+    if (!qty || isNaN(qty) || qty <= 0) {
+        throw new StockError(400, 'Quantity must be a positive number');
+    }
+
+    const stock = await Stock.findOne({ workspaceId, productId });
+    if (!stock) {
+        throw new StockError(404, 'Stock not found');
+    }
+
+    // A batch expiring today is still usable; only earlier dates count as expired
+    const today = startOfToday();
+
+    const batches = stock.stockDetail
+        .filter(item => item.qty > 0)
+        .filter(item => !skipExpired || item.expiryDate >= today)
+        .sort((a, b) => a.expiryDate - b.expiryDate);
+
+    const available = roundQty(batches.reduce((sum, item) => sum + item.qty, 0));
+    let remaining = roundQty(Number(qty));
+    if (remaining > available) {
+        throw new StockError(400, 'Requested quantity exceeds available stock', { available });
+    }
+
+    const now = new Date();
+    const breakdown = [];
+    for (const item of batches) {
+        if (remaining <= 0) break;
+
+        const taken = roundQty(Math.min(item.qty, remaining));
+        item.qty = roundQty(item.qty - taken);
+        item.entry.push({ usedQty: taken, time: now, type: 'sub', by });
+        remaining = roundQty(remaining - taken);
+
+        breakdown.push({ stockId: item._id, expiryDate: item.expiryDate, taken, remaining: item.qty });
+    }
+
+    await stock.save();
+    return breakdown;
+};
+
+/**
+ * Every entry across a product's batches (deleted ones included) in time order, with the
+ * signed change and running balances for the batch and the whole product. Balances are
+ * computed over the full history before paging, so every page shows true balances.
+ */
+export const getLedger = async ({ workspaceId, productId, page, limit }) => {
+    const [result] = await Stock.aggregate([
+        {
+            $match: {
+                workspaceId: new mongoose.Types.ObjectId(workspaceId),
+                productId: new mongoose.Types.ObjectId(productId)
+            }
+        },
+        { $unwind: '$stockDetail' },
+        { $unwind: '$stockDetail.entry' },
+        {
+            $project: {
+                _id: '$stockDetail.entry._id',
+                stockId: '$stockDetail._id',
+                expiryDate: '$stockDetail.expiryDate',
+                time: '$stockDetail.entry.time',
+                type: '$stockDetail.entry.type',
+                reason: '$stockDetail.entry.reason',
+                note: '$stockDetail.entry.note',
+                fromLocationId: '$stockDetail.entry.fromLocationId',
+                toLocationId: '$stockDetail.entry.toLocationId',
+                by: '$stockDetail.entry.by',
+                change: { $let: { vars: { entry: '$stockDetail.entry' }, in: entryChange } }
+            }
+        },
+        {
+            $setWindowFields: {
+                partitionBy: '$stockId',
+                sortBy: { time: 1, _id: 1 },
+                output: { batchBalance: { $sum: '$change', window: { documents: ['unbounded', 'current'] } } }
+            }
+        },
+        {
+            $setWindowFields: {
+                sortBy: { time: 1, _id: 1 },
+                output: { balance: { $sum: '$change', window: { documents: ['unbounded', 'current'] } } }
+            }
+        },
+        { $sort: { time: 1, _id: 1 } },
+        {
+            $facet: {
+                rows: [
+                    { $skip: (page - 1) * limit },
+                    { $limit: limit },
+                    // Name the acting user, since several members can work on one workspace
+                    {
+                        $lookup: {
+                            from: 'users',
+                            localField: 'by',
+                            foreignField: '_id',
+                            pipeline: [{ $project: { name: 1 } }],
+                            as: 'byUser'
+                        }
+                    },
+                    { $set: { byName: { $first: '$byUser.name' } } },
+                    { $unset: 'byUser' }
+                ],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]);
+
+    return { rows: result.rows, total: result.total[0]?.count || 0 };
+};
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+import Supplier from '../model/Supplier.js';
+import Stock from '../model/Stock.js';
+
+// One of the workspace's suppliers, or null (also for ids that aren't ObjectIds)
+export const findSupplier = async (workspaceId, supplierId) => {
+    if (!mongoose.isValidObjectId(supplierId)) return null;
+    return Supplier.findOne({ _id: supplierId, workspaceId });
+};
+
+// Batches bought from each supplier and what they cost in total, keyed by supplier id
+export const getSupplierTotals = async (workspaceId) => {
+    const rows = await Stock.aggregate([
+        { $match: { workspaceId: new mongoose.Types.ObjectId(workspaceId) } },
+        { $unwind: '$stockDetail' },
+        { $match: { 'stockDetail.supplierId': { $ne: null }, 'stockDetail.deletedAt': null } },
+        { $unwind: '$stockDetail.entry' },
+        { $match: { 'stockDetail.entry.type': 'add' } },
+        {
+            $group: {
+                _id: '$stockDetail.supplierId',
+                batches: { $sum: 1 },
+                spent: { $sum: { $multiply: ['$stockDetail.entry.usedQty', { $ifNull: ['$stockDetail.unitCost', 0] }] } }
+            }
+        }
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), { batches: row.batches, spent: Math.round(row.spent * 100) / 100 }]));
+};
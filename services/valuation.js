@@ -0,0 +1,129 @@
+import Stock from '../model/Stock.js';
+import Location from '../model/Location.js';
+import { stockMatch, getProductsById } from './analytics.js';
+
+// Costs are whatever currency the workspace enters unit costs in; reports round to cents
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Value of one batch or entry; quantities without a unit cost count as uncosted instead
+const costOf = (qtyPath) => ({ $multiply: [qtyPath, { $ifNull: ['$stockDetail.unitCost', 0] }] });
+const uncostedQty = (qtyPath) => ({ $cond: [{ $eq: [{ $ifNull: ['$stockDetail.unitCost', null] }, null] }, qtyPath, 0] });
+
+const byProductName = (productsById) => (a, b) => (productsById.get(a.productId)?.name || '').localeCompare(productsById.get(b.productId)?.name || '');
+
+/**
+ * Current value of the stock on hand (live batches × their unit cost), per product and per
+ * location. Quantity in batches without a unit cost is reported as uncostedQty.
+ */
+export const getStockValue = async ({ workspaceId }) => {
+    const [result] = await Stock.aggregate([
+        { $match: stockMatch({ workspaceId }) },
+        { $unwind: '$stockDetail' },
+        { $match: { 'stockDetail.deletedAt': null, 'stockDetail.qty': { $gt: 0 } } },
+        {
+            $facet: {
+                products: [{
+                    $group: {
+                        _id: '$productId',
+                        qty: { $sum: '$stockDetail.qty' },
+                        value: { $sum: costOf('$stockDetail.qty') },
+                        uncostedQty: { $sum: uncostedQty('$stockDetail.qty') }
+                    }
+                }],
+                locations: [{
+                    $group: {
+                        _id: '$stockDetail.locationId',
+                        batches: { $sum: 1 },
+                        value: { $sum: costOf('$stockDetail.qty') },
+                        uncostedBatches: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$stockDetail.unitCost', null] }, null] }, 1, 0] } }
+                    }
+                }]
+            }
+        }
+    ]);
+
+    const [productsById, locations] = await Promise.all([
+        getProductsById(workspaceId),
+        Location.find({ workspaceId })
+    ]);
+    const locationNames = new Map(locations.map(location => [location._id.toString(), location.name]));
+
+    const products = result.products
+        .map(row => ({
+            productId: row._id.toString(),
+            name: productsById.get(row._id.toString())?.name,
+            unit: productsById.get(row._id.toString())?.measure,
+            qty: row.qty,
+            value: roundMoney(row.value),
+            uncostedQty: row.uncostedQty
+        }))
+        .sort(byProductName(productsById));
+
+    // Batches without a location are grouped under locationId null
+    const byLocation = result.locations
+        .map(row => ({
+            locationId: row._id,
+            name: row._id ? locationNames.get(row._id.toString()) : null,
+            batches: row.batches,
+            value: roundMoney(row.value),
+            uncostedBatches: row.uncostedBatches
+        }))
+        .sort((a, b) => b.value - a.value);
+
+    return {
+        total: roundMoney(result.products.reduce((sum, row) => sum + row.value, 0)),
+        products,
+        locations: byLocation
+    };
+};
+
+/**
+ * Cost of what was used ('sub' entries) and thrown away ('discard' entries) in [from, to),
+ * per product, at each batch's unit cost.
+ */
+export const getCostOfUse = async ({ workspaceId, productIds, from, to }) => {
+    const rows = await Stock.aggregate([
+        { $match: stockMatch({ workspaceId, productIds }) },
+        { $unwind: '$stockDetail' },
+        { $unwind: '$stockDetail.entry' },
+        {
+            $match: {
+                'stockDetail.entry.type': { $in: ['sub', 'discard'] },
+                'stockDetail.entry.time': { $gte: from, $lt: to }
+            }
+        },
+        {
+            $group: {
+                _id: { productId: '$productId', type: '$stockDetail.entry.type' },
+                qty: { $sum: '$stockDetail.entry.usedQty' },
+                cost: { $sum: costOf('$stockDetail.entry.usedQty') },
+                uncostedQty: { $sum: uncostedQty('$stockDetail.entry.usedQty') }
+            }
+        }
+    ]);
+
+    const productsById = await getProductsById(workspaceId);
+    const byProduct = new Map();
+    for (const row of rows) {
+        const productId = row._id.productId.toString();
+        if (!byProduct.has(productId)) {
+            const item = productsById.get(productId);
+            byProduct.set(productId, {
+                productId,
+                name: item?.name,
+                unit: item?.measure,
+                consumed: { qty: 0, cost: 0, uncostedQty: 0 },
+                wasted: { qty: 0, cost: 0, uncostedQty: 0 }
+            });
+        }
+        const entry = byProduct.get(productId)[row._id.type === 'sub' ? 'consumed' : 'wasted'];
+        Object.assign(entry, { qty: row.qty, cost: roundMoney(row.cost), uncostedQty: row.uncostedQty });
+    }
+
+    const products = [...byProduct.values()].sort(byProductName(productsById));
+    return {
+        consumedCost: roundMoney(products.reduce((sum, item) => sum + item.consumed.cost, 0)),
+        wastedCost: roundMoney(products.reduce((sum, item) => sum + item.wasted.cost, 0)),
+        products
+    };
+};
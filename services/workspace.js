@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+import Workspace from '../model/Workspace.js';
+import User from '../model/User.js';
+
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// True when `role` grants at least what `minRole` does (owner > editor > viewer)
+export const hasRole = (role, minRole) => (ROLE_RANK[role] || 0) >= ROLE_RANK[minRole];
+
+/**
+ * The user's personal workspace, created on first use. It shares the user's id, so inventory
+ * stored before workspaces existed (keyed by user id) belongs to it without being moved.
+ */
+export const ensurePersonalWorkspace = async (userId, name) => {
+    let workspaceName = name;
+    if (!workspaceName) {
+        const user = await User.findById(userId).select('name');
+        workspaceName = user?.name ? `${user.name}'s inventory` : 'My inventory';
+    }
+
+    return Workspace.findOneAndUpdate(
+        { _id: userId },
+        { $setOnInsert: { name: workspaceName, personal: true, members: [{ userId, role: 'owner' }] } },
+        { upsert: true, new: true }
+    );
+};
+
+/**
+ * The workspace and the user's role in it, or null when the user is not a member.
+ * A user's own id always resolves to their personal workspace.
+ */
+export const getMembership = async (workspaceId, userId) => {
+    if (!mongoose.isValidObjectId(workspaceId)) return null;
+
+    let workspace = await Workspace.findById(workspaceId);
+    if (!workspace && String(workspaceId) === String(userId)) {
+        workspace = await ensurePersonalWorkspace(userId);
+    }
+
+    const member = workspace?.members.find(item => item.userId.toString() === String(userId));
+    if (!member) return null;
+    return { workspace, role: member.role };
+};
+
+// Number of owners left, so the last one can't be removed or demoted
+export const countOwners = (workspace) => workspace.members.filter(member => member.role === 'owner').length;
+
+// Shape returned to the UI, with the caller's own role
+export const formatWorkspace = (workspace, userId) => ({
+    id: workspace._id,
+    name: workspace.name,
+    personal: workspace.personal,
+    role: workspace.members.find(member => member.userId.toString() === String(userId))?.role,
+    memberCount: workspace.members.length,
+    createdAt: workspace.createdAt
+});
@@ -0,0 +1,31 @@
+// Barcodes are free-form (store codes are allowed), but numeric GTIN-8/12/13/14 codes must have
+// a valid check digit and are compared in their 14-digit form, so a UPC-A and the matching EAN-13
+// count as the same barcode.
+
+const BARCODE_REGEX = /^[0-9A-Za-z-]{4,64}$/;
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+const clean = (value) => String(value).replace(/\s+/g, '');
+
+const isGtin = (code) => /^\d+$/.test(code) && GTIN_LENGTHS.includes(code.length);
+
+// GS1 check digit: weights 3 and 1 alternate from the right, excluding the check digit itself
+const hasValidCheckDigit = (code) => {
+    const digits = code.split('').map(Number);
+    const check = digits.pop();
+    const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10 === check;
+};
+
+export const isValidBarcode = (value) => {
+    if (typeof value !== 'string') return false;
+    const code = clean(value);
+    if (!BARCODE_REGEX.test(code)) return false;
+    return !isGtin(code) || hasValidCheckDigit(code);
+};
+
+// The form used for storing and comparing: spaces removed, GTINs padded to 14 digits
+export const normalizeBarcode = (value) => {
+    const code = clean(value);
+    return isGtin(code) ? code.padStart(14, '0') : code.toUpperCase();
+};
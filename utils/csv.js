@@ -0,0 +1,85 @@
+// Minimal RFC 4180 CSV: quoted fields, escaped quotes ("") and newlines inside quotes
+
+/**
+ * Parses CSV text with a header row into an array of objects keyed by header.
+ * Blank lines are skipped; each object keeps its 1-based source line in `_line`.
+ */
+export const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endField = () => {
+        record.push(field);
+        field = '';
+    };
+    const endRecord = () => {
+        endField();
+        if (record.length > 1 || record[0].trim() !== '') {
+            records.push({ cells: record, line: recordLine });
+        }
+        record = [];
+        recordLine = line;
+    };
+
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            line++;
+            endRecord();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) endRecord();
+
+    const [header, ...rows] = records;
+    if (!header) return [];
+
+    const keys = header.cells.map(key => key.trim());
+    return rows.map(({ cells, line: rowLine }) => {
+        const row = { _line: rowLine };
+        keys.forEach((key, index) => {
+            row[key] = (cells[index] ?? '').trim();
+        });
+        return row;
+    });
+};
+
+const escapeCell = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialises objects to CSV using `columns` as the header and field order
+export const toCsv = (columns, rows) => {
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeCell(row[column])).join(','));
+    }
+    return lines.join('\n') + '\n';
+};
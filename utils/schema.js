@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+import { isValidDate, passwordProblems, EMAIL_REGEX } from './validation.js';
+import { isValidBarcode } from './barcode.js';
+import { isKnownUnit, CANONICAL_UNITS } from './units.js';
+
+// A small JSON Schema subset shared by request validation and the AI intent schema:
+// type, required, properties, items, minItems, enum, minLength, maxLength, minimum, exclusiveMinimum
+// and format ('date', 'email', 'objectId', 'password', 'barcode', 'unit'). The extra type 'numeric' also accepts
+// numeric strings such as "5", which form posts send. Null properties count as absent.
+
+export const typeOf = (value) => {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+};
+
+const isNumeric = (value) => (typeof value === 'number' && Number.isFinite(value))
+    || (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)));
+
+const matchesType = (value, type) => {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    if (type === 'numeric') return isNumeric(value);
+    return typeOf(value) === type;
+};
+
+const typeName = (type) => {
+    if (type === 'numeric') return 'a number';
+    return `${type === 'integer' || type === 'array' || type === 'object' ? 'an' : 'a'} ${type}`;
+};
+
+const FORMATS = {
+    date: (value, path) => (isValidDate(value) ? [] : [`${path} must be a valid date in YYYY-MM-DD format`]),
+    email: (value, path) => (EMAIL_REGEX.test(value) ? [] : [`${path} must be a valid email address`]),
+    objectId: (value, path) => (mongoose.isValidObjectId(value) ? [] : [`${path} must be a valid ID`]),
+    password: (value, path) => passwordProblems(value).map(problem => `${path} ${problem}`),
+    barcode: (value, path) => (isValidBarcode(value) ? [] : [`${path} must be a valid barcode (4-64 letters, digits or dashes; GTINs need a correct check digit)`]),
+    unit: (value, path) => (isKnownUnit(value) ? [] : [`${path} must be a unit such as ${CANONICAL_UNITS.join(', ')}`])
+};
+
+// Walks `value` against `rule`, pushing "path message" strings onto `errors`
+const check = (value, rule, path, errors) => {
+    if (rule.type && !matchesType(value, rule.type)) {
+        errors.push(`${path} must be ${typeName(rule.type)}, got ${typeOf(value)}`);
+        return;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${rule.enum.join(', ')}`);
+    }
+    if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+        errors.push(`${path} must not be empty`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        errors.push(`${path} must be at most ${rule.maxLength} characters`);
+    }
+    if (rule.format) {
+        errors.push(...FORMATS[rule.format](value, path));
+    }
+    if (rule.minimum !== undefined && Number(value) < rule.minimum) {
+        errors.push(`${path} must be at least ${rule.minimum}`);
+    }
+    if (rule.exclusiveMinimum !== undefined && Number(value) <= rule.exclusiveMinimum) {
+        errors.push(`${path} must be greater than ${rule.exclusiveMinimum}`);
+    }
+
+    if (rule.type === 'array') {
+        if (rule.minItems !== undefined && value.length < rule.minItems) {
+            errors.push(`${path} must have at least ${rule.minItems} item(s)`);
+        }
+        value.forEach((item, index) => check(item, rule.items, `${path}[${index}]`, errors));
+    }
+
+    if (rule.type === 'object' || rule.properties) {
+        for (const key of rule.required || []) {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push(`${path ? `${path}.` : ''}${key} is required`);
+            }
+        }
+        for (const [key, childRule] of Object.entries(rule.properties || {})) {
+            if (value[key] !== undefined && value[key] !== null) {
+                check(value[key], childRule, path ? `${path}.${key}` : key, errors);
+            }
+        }
+    }
+};
+
+/**
+ * Validates `value` against an object schema ({ required, properties }).
+ * Returns a list of precise errors such as "data[0].qty must be greater than 0"; empty when valid.
+ */
+export const validateSchema = (value, schema) => {
+    const errors = [];
+    check(value ?? {}, { type: 'object', ...schema }, '', errors);
+    return errors;
+};
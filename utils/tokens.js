@@ -0,0 +1,7 @@
+import crypto from 'crypto';
+
+// Random URL-safe secret for refresh and one-time tokens
+export const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+// Tokens are stored only as SHA-256 hashes, so a database leak does not expose usable tokens
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
@@ -0,0 +1,54 @@
+// Units of measure. Every product stores one canonical unit (its base unit); quantities given in
+// another unit of the same dimension (g/kg, ml/l) are converted to it. Container units such as
+// box or bag have no fixed size, so they only match themselves.
+
+// Canonical unit -> dimension and size in the dimension's smallest unit
+const UNITS = {
+    g: { dimension: 'mass', factor: 1 },
+    kg: { dimension: 'mass', factor: 1000 },
+    ml: { dimension: 'volume', factor: 1 },
+    l: { dimension: 'volume', factor: 1000 },
+    pcs: { dimension: 'count', factor: 1 },
+    box: { dimension: 'box', factor: 1 },
+    bag: { dimension: 'bag', factor: 1 },
+    bottle: { dimension: 'bottle', factor: 1 },
+    can: { dimension: 'can', factor: 1 },
+    pack: { dimension: 'pack', factor: 1 },
+    other: { dimension: 'other', factor: 1 }
+};
+
+// Lowercased spellings accepted for each canonical unit
+const ALIASES = {
+    gram: 'g', grams: 'g', gm: 'g', gms: 'g',
+    kilo: 'kg', kilos: 'kg', kilogram: 'kg', kilograms: 'kg', kgs: 'kg',
+    milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml',
+    liter: 'l', liters: 'l', litre: 'l', litres: 'l', ltr: 'l',
+    piece: 'pcs', pieces: 'pcs', pc: 'pcs',
+    boxes: 'box', bags: 'bag', bottles: 'bottle', cans: 'can', packs: 'pack'
+};
+
+export const CANONICAL_UNITS = Object.keys(UNITS);
+
+// The canonical unit for `value` (e.g. "Liter" -> "l"), or null if it isn't a known unit
+export const canonicalUnit = (value) => {
+    if (typeof value !== 'string') return null;
+    const unit = value.trim().toLowerCase();
+    if (UNITS[unit]) return unit;
+    return ALIASES[unit] || null;
+};
+
+export const isKnownUnit = (value) => canonicalUnit(value) !== null;
+
+// Rounds away float noise such as 1.1 * 1000 = 1100.0000000000002
+export const roundQty = (qty) => Math.round(qty * 1e6) / 1e6;
+
+/**
+ * Converts `qty` from one unit to another (aliases allowed). Returns null when either unit is
+ * unknown or they measure different things, e.g. g to ml.
+ */
+export const convertQty = (qty, from, to) => {
+    const fromUnit = UNITS[canonicalUnit(from)];
+    const toUnit = UNITS[canonicalUnit(to)];
+    if (!fromUnit || !toUnit || fromUnit.dimension !== toUnit.dimension) return null;
+    return roundQty((Number(qty) * fromUnit.factor) / toUnit.factor);
+};
@@ -0,0 +1,47 @@
+import { CANONICAL_UNITS } from './units.js';
+
+// Shared input rules for the inventory routes, chat and bulk import
+
+// Stored product measures; requests may also use the aliases in utils/units.js
+export const VALID_MEASURES = CANONICAL_UNITS;
+
+export const DISCARD_REASONS = ['expired', 'damaged', 'spoiled', 'other'];
+
+export const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// YYYY-MM-DD that is also a real calendar date (rejects 2024-02-30)
+export const isValidDate = (value) => {
+    if (typeof value !== 'string' || !DATE_REGEX.test(value)) return false;
+    const date = new Date(value);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+};
+
+export const isPositiveNumber = (value) => value !== '' && value !== null && !isNaN(value) && Number(value) > 0;
+
+// Thresholds are optional: undefined leaves them alone, null clears them
+export const isValidThreshold = (value) => value === undefined || value === null || (value !== '' && !isNaN(value) && Number(value) >= 0);
+
+// Workspace roles from most to least access
+export const WORKSPACE_ROLES = ['owner', 'editor', 'viewer'];
+
+export const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const PASSWORD_MIN_LENGTH = 8;
+// bcrypt ignores everything after 72 bytes
+const PASSWORD_MAX_BYTES = 72;
+const COMMON_PASSWORDS = new Set([
+    'password', 'password1', 'password123', '12345678', '123456789', '1234567890', 'qwerty123',
+    'qwertyuiop', '11111111', 'iloveyou', 'letmein1', 'welcome1', 'admin123', 'abc12345'
+]);
+
+// What is wrong with a new password (e.g. "must be at least 8 characters"); empty when it passes
+export const passwordProblems = (password) => {
+    if (typeof password !== 'string') return ['must be a string'];
+
+    const problems = [];
+    if (password.length < PASSWORD_MIN_LENGTH) problems.push(`must be at least ${PASSWORD_MIN_LENGTH} characters`);
+    if (Buffer.byteLength(password, 'utf8') > PASSWORD_MAX_BYTES) problems.push(`must be at most ${PASSWORD_MAX_BYTES} bytes`);
+    if (!/[a-zA-Z]/.test(password) || !/\d/.test(password)) problems.push('must contain at least one letter and one number');
+    if (COMMON_PASSWORDS.has(password.toLowerCase())) problems.push('is too common');
+    return problems;
+};